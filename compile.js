@@ -1,9 +1,175 @@
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 const babel = require('@babel/core');
+const { codeFrameColumns } = require('@babel/code-frame');
+const { getRoomDirectory } = require('./room-layout.js');
 
 // Use the container's pre-installed babel preset
 const babelPresetPath = '@babel/preset-react'; // Use module name, Node.js will resolve from /app/node_modules
+const babelTypeScriptPresetPath = '@babel/preset-typescript';
+const babelModulesPluginPath = '@babel/plugin-transform-modules-commonjs';
+
+// Bare imports that resolve to the globals loaded by the HTML wrapper
+const externalModules = {
+  'react': 'React',
+  'react-dom': 'ReactDOM',
+  'react-dom/client': 'ReactDOM'
+};
+
+// Extensions tried, in order, when resolving a relative import inside a widget directory
+const moduleExtensions = ['.jsx', '.js', '.tsx', '.ts'];
+
+// Widget entry files, in order of preference
+const templateFileNames = ['template.tsx', 'template.jsx'];
+
+// Optional widget stylesheet, injected into template.html without needing an import
+const templateStylesheetName = 'template.css';
+
+// Ambient typings for the globals compiled widgets can use, for the --typecheck pass
+const widgetGlobalsTypingsPath = path.join(__dirname, 'widget-globals.d.ts');
+
+// Optional repository-level configuration, read from the directory compile.js runs in
+const configFileName = 'miyagi.config.json';
+
+// Content hashes of the last compilation, used to skip widgets whose inputs did not change
+const cacheFilePath = path.join('.miyagi', 'compile-cache.json');
+
+// Development builds (--dev) with local useStorage/useGlobalStorage hooks, kept out of the canvas state
+const devBuildDir = path.join('.miyagi', 'dev');
+
+// React UMD builds loaded by the HTML wrapper. The version is pinned so the integrity hashes stay valid.
+const defaultReactConfig = {
+  mode: 'cdn', // 'cdn' loads the builds from cdnUrl, 'inline' embeds the vendored builds in template.html
+  version: '18.3.1',
+  cdnUrl: 'https://unpkg.com/{package}@{version}/umd/{package}.production.min.js',
+  integrity: true
+};
+
+// SRI hashes of the pinned UMD builds, used when the vendored copies are not installed
+const knownReactIntegrity = {
+  'react@18.3.1': 'sha384-DGyLxAyjq0f9SPpVevD6IgztCFlnMF6oW/XQGmfe+IsZ8TqEiDrcHkMLKI6fiB/Z',
+  'react-dom@18.3.1': 'sha384-gTGxhz21lVGYNMcdJOyq01Edg0jhn/c22nsx0kyqP0TxaV5WVdsSH1fSDUf5YJj1'
+};
+
+// Compile failure tied to a widget source file and, when known, a position in it (1-based line and column)
+class WidgetCompileError extends Error {
+  constructor(message, file, loc = null) {
+    super(message);
+    this.name = 'WidgetCompileError';
+    this.file = file;
+    this.loc = loc;
+  }
+}
+
+// Source map modes: 'inline' embeds a data URL in template.html, 'sidecar' writes template.html.map next to it
+const sourceMapModes = ['inline', 'sidecar'];
+
+// Parse --name=value and --flag command line options
+function parseCliOptions(argv) {
+  const options = {};
+  for (const arg of argv) {
+    const match = arg.match(/^--([^=]+)(?:=(.*))?$/);
+    if (match) {
+      options[match[1]] = match[2] === undefined ? true : match[2];
+    }
+  }
+  return options;
+}
+
+// Read the "compile" section of miyagi.config.json, or an empty config when there is none
+function loadCompileConfig() {
+  if (!fs.existsSync(configFileName)) {
+    return {};
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(configFileName, 'utf8')).compile || {};
+  } catch (error) {
+    console.warn(`⚠️ Could not parse ${configFileName}, using default settings: ${error.message}`);
+    return {};
+  }
+}
+
+// Merge miyagi.config.json and command line overrides into the React loading config
+function loadReactConfig(cliOptions) {
+  const reactConfig = { ...defaultReactConfig, ...loadCompileConfig().react };
+  if (cliOptions['react-mode']) reactConfig.mode = cliOptions['react-mode'];
+  if (cliOptions['react-version']) reactConfig.version = cliOptions['react-version'];
+  if (cliOptions['react-cdn-url']) reactConfig.cdnUrl = cliOptions['react-cdn-url'];
+  if (cliOptions['no-integrity']) reactConfig.integrity = false;
+
+  if (!['cdn', 'inline'].includes(reactConfig.mode)) {
+    throw new Error(`Unknown React mode '${reactConfig.mode}' (expected 'cdn' or 'inline')`);
+  }
+
+  return reactConfig;
+}
+
+// Resolve the source map mode from --source-maps[=inline|sidecar] / --no-source-maps or miyagi.config.json
+function loadSourceMapMode(cliOptions) {
+  if (cliOptions['no-source-maps']) {
+    return null;
+  }
+
+  let mode = cliOptions['source-maps'] !== undefined ? cliOptions['source-maps'] : loadCompileConfig().sourceMaps;
+  if (mode === true) mode = 'inline';
+  if (!mode) return null;
+
+  if (!sourceMapModes.includes(mode)) {
+    throw new Error(`Unknown source map mode '${mode}' (expected ${sourceMapModes.join(' or ')})`);
+  }
+  return mode;
+}
+
+// Read a vendored UMD build from node_modules, or return null when it is not installed
+function readVendoredBuild(packageName, version) {
+  try {
+    const packageJsonPath = require.resolve(`${packageName}/package.json`);
+    if (require(packageJsonPath).version !== version) {
+      return null;
+    }
+    // react-dom's "exports" map hides umd/, so read it relative to the package root
+    const buildPath = path.join(path.dirname(packageJsonPath), 'umd', `${packageName}.production.min.js`);
+    return fs.readFileSync(buildPath, 'utf8');
+  } catch (error) {
+    return null;
+  }
+}
+
+// Build the <script> tags that load React and ReactDOM before the widget code
+function buildReactScripts(reactConfig) {
+  return ['react', 'react-dom'].map(packageName => {
+    const vendoredBuild = readVendoredBuild(packageName, reactConfig.version);
+
+    if (reactConfig.mode === 'inline') {
+      if (vendoredBuild === null) {
+        throw new Error(`Cannot inline ${packageName}@${reactConfig.version}: install it next to compile.js (npm install ${packageName}@${reactConfig.version})`);
+      }
+      // Keep the bundle from closing the surrounding <script> element early
+      return `<script>${vendoredBuild.replace(/<\/script/gi, '<\\/script')}</script>`;
+    }
+
+    const src = reactConfig.cdnUrl
+      .replace(/\{package\}/g, packageName)
+      .replace(/\{version\}/g, reactConfig.version);
+
+    if (!reactConfig.integrity) {
+      return `<script crossorigin src="${src}"></script>`;
+    }
+
+    const integrity = vendoredBuild !== null
+      ? `sha384-${crypto.createHash('sha384').update(vendoredBuild).digest('base64')}`
+      : knownReactIntegrity[`${packageName}@${reactConfig.version}`];
+
+    if (!integrity) {
+      console.warn(`⚠️ No integrity hash known for ${packageName}@${reactConfig.version}; loading it without SRI`);
+      return `<script crossorigin src="${src}"></script>`;
+    }
+
+    return `<script crossorigin integrity="${integrity}" src="${src}"></script>`;
+  }).join('\n  ');
+}
 
 // Recursively find all widget-* directories
 function findShapeDirectories(dir = '.', found = []) {
@@ -37,30 +203,599 @@ function findShapeDirectories(dir = '.', found = []) {
   return found;
 }
 
-const widgets = findShapeDirectories();
-console.log(`Found ${widgets.length} widgets across all directories`);
+// Resolve a relative import to a file inside the widget directory
+function resolveWidgetModule(specifier, fromFile, widgetDir) {
+  const basePath = path.resolve(path.dirname(fromFile), specifier);
+  const candidates = [
+    basePath,
+    ...moduleExtensions.map(ext => basePath + ext),
+    ...moduleExtensions.map(ext => path.join(basePath, 'index' + ext))
+  ];
+  const resolved = candidates.find(candidate => fs.existsSync(candidate) && fs.statSync(candidate).isFile());
 
-// Compile each widget
-widgets.forEach(widget => {
-  const jsxFile = path.join(widget.path, 'template.jsx');
-  const htmlFile = path.join(widget.path, 'template.html');
-  
-  if (fs.existsSync(jsxFile)) {
-    console.log(`Compiling ${widget.name} at ${widget.path}...`);
-    
-    const jsx = fs.readFileSync(jsxFile, 'utf8');
-    
-    const result = babel.transformSync(jsx, {
-      presets: [[babelPresetPath, { runtime: 'classic' }]] // Module name will be resolved via NODE_PATH
+  if (!resolved) {
+    throw new Error(`Cannot resolve '${specifier}' imported from ${path.relative(process.cwd(), fromFile)}`);
+  }
+
+  const relativePath = path.relative(path.resolve(widgetDir), resolved);
+  if (relativePath.startsWith('..') || path.isAbsolute(relativePath)) {
+    throw new Error(`Import '${specifier}' in ${path.relative(process.cwd(), fromFile)} points outside the widget directory`);
+  }
+
+  return resolved;
+}
+
+// Module id used in the bundle: path relative to the widget directory, always with forward slashes
+function getModuleId(file, widgetDir) {
+  return path.relative(path.resolve(widgetDir), file).split(path.sep).join('/');
+}
+
+// Babel plugin that rewrites import sources to bundle module ids and records the dependencies
+function widgetImportsPlugin(file, widgetDir, dependencies) {
+  const rewriteSource = (nodePath) => {
+    const source = nodePath.node.source;
+    if (!source) return;
+
+    const specifier = source.value;
+    if (Object.prototype.hasOwnProperty.call(externalModules, specifier)) return;
+
+    const loc = source.loc ? { line: source.loc.start.line, column: source.loc.start.column + 1 } : null;
+    if (!specifier.startsWith('./') && !specifier.startsWith('../')) {
+      throw new WidgetCompileError(`Unsupported import '${specifier}': only relative imports and ${Object.keys(externalModules).join(', ')} are available to widgets`, file, loc);
+    }
+
+    let resolved;
+    try {
+      resolved = resolveWidgetModule(specifier, file, widgetDir);
+    } catch (error) {
+      throw new WidgetCompileError(error.message, file, loc);
+    }
+    dependencies.push(resolved);
+    source.value = getModuleId(resolved, widgetDir);
+  };
+
+  return {
+    visitor: {
+      ImportDeclaration: rewriteSource,
+      ExportNamedDeclaration: rewriteSource,
+      ExportAllDeclaration: rewriteSource
+    }
+  };
+}
+
+// Babel plugin that checks the template exports its component as default. Every form of default export
+// (declarations, expressions, `export { Widget as default }`) is compiled by the CommonJS transform;
+// without one the bundle would silently render `undefined`.
+function templateDefaultExportPlugin(file) {
+  const isDefaultExport = (statement) => {
+    if (statement.type === 'ExportDefaultDeclaration') return true;
+    return statement.type === 'ExportNamedDeclaration' && statement.exportKind !== 'type' &&
+      statement.specifiers.some(specifier => (specifier.exported.name || specifier.exported.value) === 'default');
+  };
+
+  return {
+    visitor: {
+      Program(programPath) {
+        if (!programPath.node.body.some(isDefaultExport)) {
+          throw new WidgetCompileError(
+            `${path.basename(file)} has no default export: export the widget component, e.g. \`export default function Widget() { ... }\``,
+            file
+          );
+        }
+      }
+    }
+  };
+}
+
+// Rename the class selectors of a CSS module so they cannot clash with other stylesheets.
+// Returns the scoped CSS and the map from original to scoped class names.
+function scopeCssModule(css, scope) {
+  const classNames = {};
+  const scopedCss = css
+    .replace(/\/\*[\s\S]*?\*\//g, '')
+    .replace(/([^{};]+)\{/g, (match, prelude) => {
+      // At-rule preludes (@media, @keyframes, ...) contain no class selectors
+      if (prelude.trim().startsWith('@')) return match;
+
+      return prelude.replace(/\.(-?[_a-zA-Z][\w-]*)/g, (selector, className) => {
+        classNames[className] = `${className}_${scope}`;
+        return `.${classNames[className]}`;
+      }) + '{';
     });
-    
-    // Remove import statements and convert export default to const WidgetComponent
-    let compiledJS = result.code
-      .replace(/import\s+.*?from\s+['"].*?['"];?\s*/g, '') // Remove imports
-      .replace(/export\s+default\s+(\w+);?\s*$/, 'const WidgetComponent = $1;'); // Convert export to const
-    
-    // Add dynamic React hooks extraction and custom hooks at the top
-    compiledJS = `
+
+  return { css: scopedCss, classNames };
+}
+
+// Turn an imported stylesheet into a module. *.module.css files export their scoped class names.
+function compileStylesheetModule(source, moduleId, widgetDir, styles) {
+  // Flag the exports as an ES module so `import styles from` receives the class name map
+  const esModuleFlag = 'Object.defineProperty(exports, "__esModule", { value: true });';
+
+  if (!moduleId.endsWith('.module.css')) {
+    styles.push(source);
+    return `${esModuleFlag}\nexports.default = {};`;
+  }
+
+  const scope = crypto.createHash('sha256')
+    .update(`${path.basename(widgetDir)}/${moduleId}`)
+    .digest('hex')
+    .slice(0, 6);
+  const { css, classNames } = scopeCssModule(source, scope);
+  styles.push(css);
+  return `${esModuleFlag}\nexports.default = ${JSON.stringify(classNames)};`;
+}
+
+// Compile the widget template and every module it imports into a single script.
+// Returns the script, the stylesheets to inject, the source map of every compiled module and the source
+// of every input file, keyed by module id.
+function bundleWidget(widgetDir, entryFile) {
+  const modules = new Map();
+  const moduleMaps = new Map();
+  const sources = {};
+  const styles = [];
+  const queue = [path.resolve(entryFile)];
+
+  const stylesheetFile = path.join(widgetDir, templateStylesheetName);
+  if (fs.existsSync(stylesheetFile)) {
+    const stylesheet = fs.readFileSync(stylesheetFile, 'utf8');
+    sources[templateStylesheetName] = stylesheet;
+    styles.push(stylesheet);
+  }
+
+  while (queue.length > 0) {
+    const file = queue.shift();
+    const moduleId = getModuleId(file, widgetDir);
+    if (modules.has(moduleId)) continue;
+
+    const dependencies = [];
+    const source = fs.readFileSync(file, 'utf8');
+
+    if (file.endsWith('.css')) {
+      modules.set(moduleId, compileStylesheetModule(source, moduleId, widgetDir, styles));
+      sources[moduleId] = source;
+      continue;
+    }
+
+    const plugins = [() => widgetImportsPlugin(file, widgetDir, dependencies)];
+    if (file === path.resolve(entryFile)) {
+      plugins.push(() => templateDefaultExportPlugin(file));
+    }
+
+    let result;
+    try {
+      result = babel.transformSync(source, {
+        filename: file,
+        sourceMaps: true,
+        sourceFileName: `${path.basename(widgetDir)}/${moduleId}`,
+        babelrc: false,
+        configFile: false,
+        presets: [
+          [babelPresetPath, { runtime: 'classic' }], // Module name will be resolved via NODE_PATH
+          babelTypeScriptPresetPath // Strips types from .ts/.tsx modules only, based on filename
+        ],
+        plugins: [
+          ...plugins,
+          [babelModulesPluginPath, { strictMode: false }]
+        ]
+      });
+    } catch (error) {
+      throw toWidgetCompileError(error, file);
+    }
+
+    modules.set(moduleId, result.code);
+    moduleMaps.set(moduleId, result.map);
+    sources[moduleId] = source;
+    queue.push(...dependencies);
+  }
+
+  const moduleDefinitions = Array.from(modules.entries())
+    .map(([moduleId, code]) => `${getModuleHeader(moduleId)}${code}\n}`)
+    .join(',\n');
+  const externalDefinitions = Object.entries(externalModules)
+    .map(([specifier, globalName]) => `${JSON.stringify(specifier)}: ${globalName}`)
+    .join(',\n');
+
+  const script = `
+    // Widget modules bundled from ${path.basename(widgetDir)}
+    const widgetModules = {
+${moduleDefinitions}
+    };
+    const widgetExternals = {
+${externalDefinitions}
+    };
+    const widgetModuleCache = {};
+    function requireWidgetModule(moduleId) {
+      if (Object.prototype.hasOwnProperty.call(widgetExternals, moduleId)) {
+        return widgetExternals[moduleId];
+      }
+      if (!widgetModuleCache[moduleId]) {
+        const module = { exports: {} };
+        widgetModuleCache[moduleId] = module;
+        widgetModules[moduleId](module, module.exports, requireWidgetModule);
+      }
+      return widgetModuleCache[moduleId].exports;
+    }
+
+    const WidgetComponent = requireWidgetModule(${JSON.stringify(getModuleId(path.resolve(entryFile), widgetDir))}).default;
+  `;
+
+  return { script, styles, moduleMaps, sources };
+}
+
+// Header that starts each module in the bundle; the module code follows on the next line
+function getModuleHeader(moduleId) {
+  return `${JSON.stringify(moduleId)}: function (module, exports, require) {\n`;
+}
+
+const base64Digits = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+// Decode source map "mappings" into lines of absolute [column, source, line, column, name] segments
+function decodeMappings(mappings) {
+  const state = [0, 0, 0, 0, 0];
+  return mappings.split(';').map(line => {
+    state[0] = 0; // Generated columns restart on every line, the other fields carry over
+    return line.split(',').filter(Boolean).map(segment => {
+      const values = [];
+      let value = 0;
+      let shift = 0;
+      for (const char of segment) {
+        const digit = base64Digits.indexOf(char);
+        value += (digit & 31) << shift;
+        if (digit & 32) {
+          shift += 5;
+        } else {
+          values.push(value & 1 ? -(value >>> 1) : value >>> 1);
+          value = 0;
+          shift = 0;
+        }
+      }
+      values.forEach((delta, index) => { state[index] += delta; });
+      return state.slice(0, values.length);
+    });
+  });
+}
+
+// Encode lines of absolute segments back into source map "mappings"
+function encodeMappings(lines) {
+  const previous = [0, 0, 0, 0, 0];
+  const encodeValue = (value) => {
+    let vlq = value < 0 ? (-value << 1) | 1 : value << 1;
+    let encoded = '';
+    do {
+      let digit = vlq & 31;
+      vlq >>>= 5;
+      if (vlq > 0) digit |= 32;
+      encoded += base64Digits[digit];
+    } while (vlq > 0);
+    return encoded;
+  };
+
+  return lines.map(segments => {
+    previous[0] = 0;
+    return segments.map(segment => segment.map((value, index) => {
+      const delta = value - previous[index];
+      previous[index] = value;
+      return encodeValue(delta);
+    }).join('')).join(',');
+  }).join(';');
+}
+
+// Build one source map for the inline widget script from the maps of its modules. Lines are counted
+// from the start of the <script> element's content, which is how browsers map inline scripts.
+function buildWidgetSourceMap(scriptContent, moduleMaps) {
+  const map = { version: 3, sources: [], sourcesContent: [], names: [], mappings: '' };
+  const lines = scriptContent.split('\n').map(() => []);
+  let searchFrom = 0;
+
+  for (const [moduleId, moduleMap] of moduleMaps) {
+    const header = getModuleHeader(moduleId);
+    const headerIndex = scriptContent.indexOf(header, searchFrom);
+    if (headerIndex === -1 || !moduleMap) continue;
+    searchFrom = headerIndex + header.length;
+
+    const firstLine = scriptContent.slice(0, searchFrom).split('\n').length - 1;
+    const sourceOffset = map.sources.length;
+    const nameOffset = map.names.length;
+    map.sources.push(...moduleMap.sources);
+    map.sourcesContent.push(...(moduleMap.sourcesContent || moduleMap.sources.map(() => null)));
+    map.names.push(...moduleMap.names);
+
+    decodeMappings(moduleMap.mappings).forEach((segments, lineIndex) => {
+      lines[firstLine + lineIndex] = segments.map(segment => {
+        const shifted = segment.slice();
+        if (shifted.length > 1) shifted[1] += sourceOffset;
+        if (shifted.length > 4) shifted[4] += nameOffset;
+        return shifted;
+      });
+    });
+  }
+
+  map.mappings = encodeMappings(lines);
+  return map;
+}
+
+// Attach a source map to the compiled widget script. Returns the HTML and, for sidecar maps, the map JSON.
+function attachSourceMap(html, moduleMaps, mode) {
+  const scriptStart = html.indexOf('<script>\n    // Compiled JSX code') + '<script>'.length;
+  const scriptEnd = html.indexOf('</script>', scriptStart);
+  const map = buildWidgetSourceMap(html.slice(scriptStart, scriptEnd), moduleMaps);
+  const mapJson = JSON.stringify(map);
+
+  const url = mode === 'sidecar'
+    ? 'template.html.map'
+    : `data:application/json;charset=utf-8;base64,${Buffer.from(mapJson).toString('base64')}`;
+  const annotatedHtml = `${html.slice(0, scriptEnd)}  //# sourceMappingURL=${url}\n  ${html.slice(scriptEnd)}`;
+
+  return { html: annotatedHtml, mapJson: mode === 'sidecar' ? mapJson : null };
+}
+
+// Normalize a Babel error into a WidgetCompileError without Babel's filename prefix and code frame
+function toWidgetCompileError(error, file) {
+  if (error instanceof WidgetCompileError) {
+    error.message = error.message.replace(`${file}: `, '');
+    return error;
+  }
+
+  // Parse errors carry a 0-based column and repeat the position at the end of the first line
+  const loc = error.loc ? { line: error.loc.line, column: error.loc.column + 1 } : null;
+  const message = error.message.split('\n')[0]
+    .replace(`${file}: `, '')
+    .replace(/\s*\(\d+:\d+\)$/, '');
+  return new WidgetCompileError(message, file, loc);
+}
+
+// Describe a compile or type error for the console and the JSON report
+function describeProblem(kind, widgetName, file, loc, message) {
+  let codeFrame = null;
+  if (loc && fs.existsSync(file)) {
+    codeFrame = codeFrameColumns(fs.readFileSync(file, 'utf8'), { start: loc }, { highlightCode: false });
+  }
+
+  return {
+    kind,
+    widget: widgetName,
+    file: path.relative(process.cwd(), file),
+    line: loc ? loc.line : null,
+    column: loc ? loc.column : null,
+    message,
+    codeFrame
+  };
+}
+
+function printProblems(problems) {
+  console.error(`\n❌ ${problems.length} widget errors:`);
+  for (const problem of problems) {
+    const position = problem.line ? `:${problem.line}:${problem.column}` : '';
+    console.error(`\n${problem.file}${position} - ${problem.kind} error: ${problem.message}`);
+    if (problem.codeFrame) {
+      console.error(problem.codeFrame);
+    }
+  }
+}
+
+// Write the machine-readable error report for editors and CI
+function writeReport(reportPath, summary, problems) {
+  const report = { ...summary, errors: problems };
+  fs.mkdirSync(path.dirname(path.resolve(reportPath)), { recursive: true });
+  fs.writeFileSync(reportPath, JSON.stringify(report, null, 2), 'utf8');
+  console.log(`📝 Wrote compile report to ${reportPath}`);
+}
+
+// Find the widget entry file (template.tsx or template.jsx), or null when there is none
+function findTemplateFile(widgetDir) {
+  const templateFiles = templateFileNames
+    .map(fileName => path.join(widgetDir, fileName))
+    .filter(filePath => fs.existsSync(filePath));
+
+  if (templateFiles.length > 1) {
+    console.warn(`⚠️ ${widgetDir} has both ${templateFileNames.join(' and ')}; compiling ${path.basename(templateFiles[0])}`);
+  }
+
+  return templateFiles[0] || null;
+}
+
+// Type-check TypeScript widget templates and the modules they import. Returns the type errors found.
+function typeCheckTemplates(templateFiles) {
+  if (templateFiles.length === 0) {
+    return [];
+  }
+
+  let ts, reactTypesPath;
+  try {
+    ts = require('typescript');
+    reactTypesPath = path.join(path.dirname(require.resolve('@types/react/package.json')), 'index.d.ts');
+  } catch (error) {
+    console.warn('⚠️ Skipping type-check: install typescript and @types/react next to compile.js');
+    return [];
+  }
+
+  console.log(`Type-checking ${templateFiles.length} TypeScript widgets...`);
+
+  const program = ts.createProgram([...templateFiles, widgetGlobalsTypingsPath], {
+    noEmit: true,
+    strict: true,
+    skipLibCheck: true,
+    esModuleInterop: true,
+    allowUmdGlobalAccess: true, // React is a global in the compiled HTML
+    jsx: ts.JsxEmit.React,
+    target: ts.ScriptTarget.ES2020,
+    module: ts.ModuleKind.ESNext,
+    moduleResolution: ts.ModuleResolutionKind.Node10,
+    types: [],
+    paths: { react: [reactTypesPath] }
+  });
+
+  const diagnostics = ts.getPreEmitDiagnostics(program);
+  if (diagnostics.length === 0) {
+    console.log('✅ Type-check passed');
+  }
+
+  return diagnostics.map(diagnostic => {
+    const message = ts.flattenDiagnosticMessageText(diagnostic.messageText, '\n');
+    if (!diagnostic.file) {
+      return describeProblem('type', null, '', null, message);
+    }
+
+    const { line, character } = diagnostic.file.getLineAndCharacterOfPosition(diagnostic.start);
+    const widgetName = path.relative(process.cwd(), diagnostic.file.fileName).split(path.sep).find(part => part.startsWith('widget-')) || null;
+    return describeProblem('type', widgetName, diagnostic.file.fileName, { line: line + 1, column: character + 1 }, message);
+  });
+}
+
+function hashContent(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+function getPackageVersion(packageName) {
+  try {
+    return require(`${packageName}/package.json`).version;
+  } catch (error) {
+    return 'unknown';
+  }
+}
+
+// Hash of everything besides the widget sources that affects the compiled HTML
+function getCompilerFingerprint(reactScripts, sourceMapMode) {
+  return hashContent([
+    `source-maps:${sourceMapMode || 'none'}`,
+    `@babel/core@${babel.version}`,
+    `${babelPresetPath}@${getPackageVersion(babelPresetPath)}`,
+    `${babelTypeScriptPresetPath}@${getPackageVersion(babelTypeScriptPresetPath)}`,
+    `${babelModulesPluginPath}@${getPackageVersion(babelModulesPluginPath)}`,
+    fs.readFileSync(__filename, 'utf8'),
+    reactScripts
+  ].join('\n'));
+}
+
+function loadCompileCache() {
+  try {
+    return JSON.parse(fs.readFileSync(cacheFilePath, 'utf8')).widgets || {};
+  } catch (error) {
+    return {};
+  }
+}
+
+function saveCompileCache(widgetEntries) {
+  fs.mkdirSync(path.dirname(cacheFilePath), { recursive: true });
+  fs.writeFileSync(cacheFilePath, JSON.stringify({ widgets: widgetEntries }, null, 2), 'utf8');
+}
+
+// A widget is up to date when the compiler, the entry template, every bundled module and the written HTML match the cache entry
+function isWidgetUpToDate(cacheEntry, widgetDir, entryFile, htmlFile, fingerprint) {
+  if (!cacheEntry || cacheEntry.fingerprint !== fingerprint || !fs.existsSync(htmlFile)) {
+    return false;
+  }
+
+  // A template.tsx added next to a cached template.jsx becomes the entry without changing any cached source
+  if (cacheEntry.entry !== getModuleId(path.resolve(entryFile), widgetDir)) {
+    return false;
+  }
+
+  if (hashContent(fs.readFileSync(htmlFile, 'utf8')) !== cacheEntry.output) {
+    return false;
+  }
+
+  // Adding or removing template.css changes the output without touching any cached source
+  if (fs.existsSync(path.join(widgetDir, templateStylesheetName)) !== (templateStylesheetName in cacheEntry.sources)) {
+    return false;
+  }
+
+  return Object.entries(cacheEntry.sources).every(([moduleId, sourceHash]) => {
+    const sourceFile = path.join(widgetDir, moduleId);
+    return fs.existsSync(sourceFile) && hashContent(fs.readFileSync(sourceFile, 'utf8')) === sourceHash;
+  });
+}
+
+// Read a JSON storage file for the development shim, or an empty object when it is missing or invalid
+function readStorageFile(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    return {};
+  }
+}
+
+// Script defining useStorage/useGlobalStorage outside the Miyagi host. Values are seeded from the widget's
+// storage.json and the room's global-storage.json and persisted to localStorage; editing either file reseeds.
+function buildStorageShim(widgetDir) {
+  const roomDir = getRoomDirectory(path.dirname(widgetDir));
+  const seeds = {
+    widget: { key: `miyagi-dev:${getModuleId(path.resolve(widgetDir), '.')}:storage`, data: readStorageFile(path.join(widgetDir, 'storage.json')) },
+    global: { key: `miyagi-dev:${getModuleId(path.resolve(roomDir), '.')}:global-storage`, data: readStorageFile(path.join(roomDir, 'global-storage.json')) }
+  };
+
+  return `
+    // Development shim: stands in for MiyagiStorageService when the widget runs outside the Miyagi host
+    const { useStorage, useGlobalStorage } = (function (seeds) {
+      function createStore(seed) {
+        const seedJson = JSON.stringify(seed.data);
+        const listeners = new Set();
+        const load = () => {
+          try {
+            if (localStorage.getItem(seed.key + ':seed') === seedJson) {
+              return JSON.parse(localStorage.getItem(seed.key)) || {};
+            }
+          } catch (error) {}
+          return JSON.parse(seedJson);
+        };
+        let state = load();
+
+        // Keep widgets of the same room in other tabs in sync
+        window.addEventListener('storage', event => {
+          if (event.key === seed.key) {
+            state = load();
+            listeners.forEach(listener => listener());
+          }
+        });
+
+        return {
+          read: (key, defaultValue) => Object.prototype.hasOwnProperty.call(state, key) ? state[key] : defaultValue,
+          write(key, value) {
+            state = { ...state, [key]: value };
+            try {
+              localStorage.setItem(seed.key, JSON.stringify(state));
+              localStorage.setItem(seed.key + ':seed', seedJson);
+            } catch (error) {}
+            listeners.forEach(listener => listener());
+          },
+          subscribe(listener) {
+            listeners.add(listener);
+            return () => listeners.delete(listener);
+          }
+        };
+      }
+
+      function createHook(store) {
+        return function (key, defaultValue) {
+          const [, rerender] = React.useReducer(count => count + 1, 0);
+          React.useEffect(() => store.subscribe(rerender), []);
+          const value = store.read(key, defaultValue);
+          const setValue = React.useCallback(next => {
+            const previous = store.read(key, defaultValue);
+            store.write(key, typeof next === 'function' ? next(previous) : next);
+          }, [key, defaultValue]);
+          return [value, setValue];
+        };
+      }
+
+      return {
+        useStorage: createHook(createStore(seeds.widget)),
+        useGlobalStorage: createHook(createStore(seeds.global))
+      };
+    })(${JSON.stringify(seeds).replace(/</g, '\\u003c')});
+    `;
+}
+
+// Wrap a bundled widget script and its stylesheets in the HTML page that renders it.
+// hooksShim is only set for development builds.
+function buildWidgetHtml(widgetScript, widgetStyles, reactScripts, hooksShim = '') {
+  // Keep stylesheet content from closing the <style> element early
+  const widgetStyleTags = widgetStyles
+    .map(css => `\n  <style>\n${css.replace(/<\/style/gi, '<\\/style')}\n  </style>`)
+    .join('');
+
+  // Add dynamic React hooks extraction and custom hooks at the top
+  const compiledJS = `
     // Extract all React hooks dynamically (present and future)
     const reactHooks = {};
     Object.keys(React).forEach(key => {
@@ -81,15 +816,14 @@ widgets.forEach(widget => {
     // useStorage hook will be injected by MiyagiStorageService
     // useGlobalStorage hook will be injected by MiyagiStorageService
     
-    ${compiledJS}
+    ${hooksShim}${widgetScript}
     `;
 
-    const html = `<!DOCTYPE html>
+  return `<!DOCTYPE html>
 <html>
 <head>
   <title>React Widget</title>
-  <script crossorigin src="https://unpkg.com/react@18/umd/react.production.min.js"></script>
-  <script crossorigin src="https://unpkg.com/react-dom@18/umd/react-dom.production.min.js"></script>
+  ${reactScripts}
   <style>
     body { 
       margin: 0; 
@@ -102,7 +836,7 @@ widgets.forEach(widget => {
       display: flex;
       flex-direction: column;
     }
-  </style>
+  </style>${widgetStyleTags}
 </head>
 <body>
   <div id="react-root"></div>
@@ -119,10 +853,162 @@ widgets.forEach(widget => {
   </script>
 </body>
 </html>`;
+}
+
+// Compile the given widgets into their template.html, skipping unchanged ones unless --force is set.
+// With --dev every widget is rebuilt, since the development build also depends on its storage files.
+// Full runs pass pruneCache to drop cache entries of widgets that no longer exist.
+function compileWidgets(widgets, cliOptions, { pruneCache = false } = {}) {
+  // --check compiles in memory and only reports widgets whose template.html on disk is out of date
+  const checkOnly = Boolean(cliOptions.check);
+  const devBuild = !checkOnly && Boolean(cliOptions.dev || loadCompileConfig().dev);
+  const reactScripts = buildReactScripts(loadReactConfig(cliOptions));
+  const sourceMapMode = loadSourceMapMode(cliOptions);
+  const compilerFingerprint = getCompilerFingerprint(reactScripts, sourceMapMode);
+  const compileCache = loadCompileCache();
+  const nextCompileCache = pruneCache ? {} : { ...compileCache };
+  const result = { compiled: 0, skipped: 0, typeScriptTemplates: [], problems: [], stale: [] };
+
+  widgets.forEach(widget => {
+    const jsxFile = findTemplateFile(widget.path);
+    const htmlFile = path.join(widget.path, 'template.html');
     
-    fs.writeFileSync(htmlFile, html);
-    console.log(`✅ ${widget.name} compiled`);
+    if (jsxFile) {
+      if (jsxFile.endsWith('.tsx')) {
+        result.typeScriptTemplates.push(jsxFile);
+      }
+
+      const cacheEntry = compileCache[widget.path];
+      if (!cliOptions.force && !devBuild && !checkOnly && isWidgetUpToDate(cacheEntry, widget.path, jsxFile, htmlFile, compilerFingerprint)) {
+        nextCompileCache[widget.path] = cacheEntry;
+        result.skipped++;
+        return;
+      }
+
+      console.log(`${checkOnly ? 'Checking' : 'Compiling'} ${widget.name} at ${widget.path}...`);
+
+      try {
+        // Bundle the template with its relative imports; react imports map to the global React
+        const bundle = bundleWidget(widget.path, jsxFile);
+        let html = buildWidgetHtml(bundle.script, bundle.styles, reactScripts);
+
+        let mapJson = null;
+        if (sourceMapMode) {
+          const withSourceMap = attachSourceMap(html, bundle.moduleMaps, sourceMapMode);
+          html = withSourceMap.html;
+          mapJson = withSourceMap.mapJson;
+        }
+
+        const isCurrent = (file, content) => fs.existsSync(file) && fs.readFileSync(file, 'utf8') === content;
+
+        if (checkOnly) {
+          if (!isCurrent(htmlFile, html) || (mapJson && !isCurrent(`${htmlFile}.map`, mapJson))) {
+            result.stale.push(widget.path);
+            console.error(`❌ ${widget.name} is out of date`);
+          } else {
+            console.log(`✅ ${widget.name} is up to date`);
+          }
+          result.compiled++;
+          return;
+        }
+
+        // Leave the files untouched when the output is unchanged
+        if (mapJson && !isCurrent(`${htmlFile}.map`, mapJson)) {
+          fs.writeFileSync(`${htmlFile}.map`, mapJson);
+        }
+
+        if (!isCurrent(htmlFile, html)) {
+          fs.writeFileSync(htmlFile, html);
+        }
+
+        if (devBuild) {
+          // Development builds always carry inline source maps
+          const devHtml = buildWidgetHtml(bundle.script, bundle.styles, reactScripts, buildStorageShim(widget.path));
+          const devHtmlFile = path.join(devBuildDir, `${widget.path}.html`);
+          fs.mkdirSync(path.dirname(devHtmlFile), { recursive: true });
+          fs.writeFileSync(devHtmlFile, attachSourceMap(devHtml, bundle.moduleMaps, 'inline').html);
+          console.log(`🧪 Development build: ${devHtmlFile}`);
+        }
+
+        nextCompileCache[widget.path] = {
+          fingerprint: compilerFingerprint,
+          entry: getModuleId(path.resolve(jsxFile), widget.path),
+          sources: Object.fromEntries(Object.entries(bundle.sources).map(([moduleId, source]) => [moduleId, hashContent(source)])),
+          output: hashContent(html)
+        };
+        result.compiled++;
+        console.log(`✅ ${widget.name} compiled`);
+      } catch (error) {
+        // Keep going so every broken widget is reported in one run
+        delete nextCompileCache[widget.path];
+        const file = error instanceof WidgetCompileError ? error.file : jsxFile;
+        const loc = error instanceof WidgetCompileError ? error.loc : null;
+        result.problems.push(describeProblem('compile', widget.name, file, loc, error.message));
+        console.error(`❌ ${widget.name} failed to compile`);
+      }
+    }
+  });
+
+  if (!checkOnly) {
+    saveCompileCache(nextCompileCache);
   }
-});
+  return result;
+}
 
-console.log('Done!');
\ No newline at end of file
+/**
+ * Main entry point - compiles every widget in the repository
+ * Options: --force, --check, --typecheck, --report=<path>, --watch, --dev, --source-maps[=inline|sidecar], --no-source-maps,
+ *          --react-mode/--react-version/--react-cdn-url, --no-integrity
+ */
+function run() {
+  const cliOptions = parseCliOptions(process.argv.slice(2));
+  const compileConfig = loadCompileConfig();
+
+  const widgets = findShapeDirectories();
+  console.log(`Found ${widgets.length} widgets across all directories`);
+
+  const result = compileWidgets(widgets, cliOptions, { pruneCache: true });
+  const problems = [...result.problems];
+
+  if (cliOptions.typecheck || compileConfig.typecheck) {
+    problems.push(...typeCheckTemplates(result.typeScriptTemplates));
+  }
+
+  if (result.skipped > 0) {
+    console.log(`⏭️  Skipped ${result.skipped} unchanged widgets (use --force to rebuild them)`);
+  }
+
+  const reportPath = typeof cliOptions.report === 'string' ? cliOptions.report : compileConfig.report;
+  if (reportPath) {
+    const summary = { widgets: widgets.length, compiled: result.compiled, skipped: result.skipped };
+    if (cliOptions.check) {
+      summary.stale = result.stale;
+    }
+    writeReport(reportPath, summary, problems);
+  }
+
+  if (problems.length > 0) {
+    printProblems(problems);
+    process.exitCode = 1;
+  }
+
+  if (result.stale.length > 0) {
+    console.error(`\n❌ ${result.stale.length} widgets have an out-of-date template.html (run compile.js and commit the result):`);
+    result.stale.forEach(widgetPath => console.error(`  - ${widgetPath}`));
+    process.exitCode = 1;
+  }
+  console.log('Done!');
+
+  if (cliOptions.watch && !cliOptions.check) {
+    const CanvasWatcher = require('./watch-canvas.js');
+    new CanvasWatcher(process.cwd(), { ...cliOptions, typecheck: cliOptions.typecheck || compileConfig.typecheck }).start();
+  }
+}
+
+// Exported before auto-executing so watch-canvas.js can require this module while run() is on the stack
+module.exports = { run, compileWidgets, typeCheckTemplates, printProblems, parseCliOptions };
+
+// Auto-execute when run directly (download-and-run.js calls run() itself)
+if (require.main === module) {
+  run();
+}
@@ -2,6 +2,7 @@
 
 const fs = require('fs');
 const path = require('path');
+const { findRepositoryRoot, createBatchId, moveToTrash } = require('./trash.js');
 
 /**
  * Count occurrences of 'room-' in a path to determine if it's a root room
@@ -21,7 +22,7 @@ function countRoomOccurrences(roomPath) {
 }
 
 /**
- * Delete a room directory and all its contents
+ * Delete a room directory and all its contents, moving it into the repository's .miyagi/trash
  * @param {string} roomPath - The absolute path to the room directory
  */
 function deleteRoom(roomPath) {
@@ -62,12 +63,14 @@ function deleteRoom(roomPath) {
   console.log(`Room Count in Path: ${roomCount} (safe to delete)`);
 
   try {
-    // Recursively delete the room directory
-    fs.rmSync(roomPath, { recursive: true, force: true });
+    // Move the room directory into the trash
+    const rootDir = findRepositoryRoot(roomPath);
+    const item = moveToTrash(roomPath, { rootDir, batchId: createBatchId(), source: 'delete-room' });
 
     console.log('\n✅ Room deleted successfully!');
     console.log(`🗑️  Removed: ${roomPath}`);
-    console.log(`\n🎯 Room ${dirName} has been permanently deleted`);
+    console.log(`\n🎯 Room ${dirName} has been deleted`);
+    console.log(`♻️  Restore it with: node .miyagi/trash.js restore ${item.id}`);
 
   } catch (error) {
     console.error('❌ Error deleting room:', error);
@@ -2,9 +2,10 @@
 
 const fs = require('fs');
 const path = require('path');
+const { findRepositoryRoot, createBatchId, moveToTrash } = require('./trash.js');
 
 /**
- * Delete a widget directory and all its contents
+ * Delete a widget directory and all its contents, moving it into the repository's .miyagi/trash
  * @param {string} widgetPath - The absolute path to the widget directory
  */
 function deleteWidget(widgetPath) {
@@ -31,7 +32,7 @@ function deleteWidget(widgetPath) {
   }
 
   // Additional validation - check if it contains expected widget files
-  const expectedFiles = ['properties.json', 'storage.json', 'template.jsx'];
+  const expectedFiles = ['properties.json', 'storage.json', 'template.jsx', 'template.tsx'];
   const hasWidgetFiles = expectedFiles.some(file => fs.existsSync(path.join(widgetPath, file)));
   
   if (!hasWidgetFiles) {
@@ -50,7 +51,7 @@ function deleteWidget(widgetPath) {
   try {
     // List files that will be deleted
     const files = fs.readdirSync(widgetPath);
-    console.log('\n📁 Files to be deleted:');
+    console.log('\n📁 Files to be moved to the trash:');
     files.forEach(file => {
       const filePath = path.join(widgetPath, file);
       const stats = fs.statSync(filePath);
@@ -61,12 +62,14 @@ function deleteWidget(widgetPath) {
       }
     });
 
-    // Recursively delete the widget directory
-    fs.rmSync(widgetPath, { recursive: true, force: true });
+    // Move the widget directory into the trash
+    const rootDir = findRepositoryRoot(widgetPath);
+    const item = moveToTrash(widgetPath, { rootDir, batchId: createBatchId(), source: 'delete-widget' });
 
     console.log('\n✅ Widget deleted successfully!');
     console.log(`🗑️  Removed: ${widgetPath}`);
-    console.log(`\n🎯 Widget ${dirName} has been completely removed from ${roomId}`);
+    console.log(`\n🎯 Widget ${dirName} has been removed from ${roomId}`);
+    console.log(`♻️  Restore it with: node .miyagi/trash.js restore ${item.id}`);
 
   } catch (error) {
     console.error('❌ Error deleting widget:', error);
@@ -16,8 +16,8 @@ const SCRIPTS_URL = 'https://raw.githubusercontent.com/DeepSpaceUsersTest/miyagi
  * Ensure Miyagi setup exists
  */
 async function ensureSetup() {
-  // Only run setup if .miyagi doesn't exist
-  if (!fs.existsSync(SCRIPTS_DIR)) {
+  // Only run setup if the scripts aren't there yet (.miyagi may already hold caches)
+  if (!fs.existsSync(path.join(SCRIPTS_DIR, 'package.json'))) {
     console.log('🚀 Setting up Miyagi scripts...');
     
     try {
@@ -31,8 +31,15 @@ async function ensureSetup() {
         "description": "Miyagi canvas repository automation scripts",
         "private": true,
         "dependencies": {
+          "@babel/code-frame": "^7.27.1",
           "@babel/core": "^7.28.4",
-          "@babel/preset-react": "^7.27.1"
+          "@babel/plugin-transform-modules-commonjs": "^7.27.1",
+          "@babel/preset-react": "^7.27.1",
+          "@babel/preset-typescript": "^7.27.1",
+          "@types/react": "^18.3.0",
+          "react": "18.3.1",
+          "react-dom": "18.3.1",
+          "typescript": "^5.9.0"
         }
       };
       
@@ -54,7 +61,7 @@ async function ensureSetup() {
       }
       
       // Download all required scripts
-      const scripts = ['compile.js', 'generate-canvas.js', 'unpack-canvas-state.js', 'setup-hooks.js'];
+      const scripts = ['compile.js', 'generate-canvas.js', 'unpack-canvas-state.js', 'validate-canvas.js', 'fractional-index.js', 'room-layout.js', 'properties-schema.js', 'trash.js', 'merge-canvas-state.js', 'schema-migrations.js', 'synced-files.js', 'setup-hooks.js', 'watch-canvas.js', 'widget-globals.d.ts'];
       
       console.log('📥 Downloading scripts...');
       for (const script of scripts) {
@@ -0,0 +1,227 @@
+/**
+ * Fractional indexing, compatible with the index keys tldraw uses to order pages and shapes.
+ *
+ * A key is an integer part whose length is given by its head letter ('a'-'z' for positive integers,
+ * 'A'-'Z' for negative ones) followed by an optional base 62 fraction that never ends in '0'.
+ * Keys sort with plain string comparison, and a new key can always be generated between two others.
+ */
+
+const digits = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+const smallestInteger = 'A' + digits[0].repeat(26);
+
+// Length of the integer part of a key, from its head letter
+function getIntegerLength(head) {
+  if (head >= 'a' && head <= 'z') {
+    return head.charCodeAt(0) - 'a'.charCodeAt(0) + 2;
+  }
+  if (head >= 'A' && head <= 'Z') {
+    return 'Z'.charCodeAt(0) - head.charCodeAt(0) + 2;
+  }
+  throw new Error(`Invalid index key head: ${head}`);
+}
+
+function getIntegerPart(key) {
+  const integerLength = getIntegerLength(key[0]);
+  if (integerLength > key.length) {
+    throw new Error(`Invalid index key: ${key}`);
+  }
+  return key.slice(0, integerLength);
+}
+
+function validateKey(key) {
+  if (typeof key !== 'string' || key.length === 0 || [...key].some(char => !digits.includes(char))) {
+    throw new Error(`Invalid index key: ${key}`);
+  }
+  if (key === smallestInteger) {
+    throw new Error(`Invalid index key: ${key}`);
+  }
+  const integer = getIntegerPart(key);
+  if (key.slice(integer.length).endsWith(digits[0])) {
+    throw new Error(`Invalid index key: ${key}`);
+  }
+}
+
+/**
+ * Check whether a string is a valid index key
+ */
+function isValidIndex(key) {
+  try {
+    validateKey(key);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Midpoint of two fractions (digit strings without trailing zeros), b === null meaning "1"
+function midpoint(a, b) {
+  if (b !== null && a >= b) {
+    throw new Error(`${a} >= ${b}`);
+  }
+  if (a.endsWith(digits[0]) || (b && b.endsWith(digits[0]))) {
+    throw new Error('Fraction has a trailing zero');
+  }
+
+  if (b) {
+    // Skip the common prefix
+    let n = 0;
+    while ((a[n] || digits[0]) === b[n]) n++;
+    if (n > 0) {
+      return b.slice(0, n) + midpoint(a.slice(n), b.slice(n));
+    }
+  }
+
+  const digitA = a ? digits.indexOf(a[0]) : 0;
+  const digitB = b !== null ? digits.indexOf(b[0]) : digits.length;
+  if (digitB - digitA > 1) {
+    return digits[Math.round(0.5 * (digitA + digitB))];
+  }
+  if (b && b.length > 1) {
+    return b.slice(0, 1);
+  }
+  return digits[digitA] + midpoint(a.slice(1), null);
+}
+
+function incrementInteger(integer) {
+  const [head, ...integerDigits] = integer.split('');
+  let carry = true;
+  for (let i = integerDigits.length - 1; carry && i >= 0; i--) {
+    const digit = digits.indexOf(integerDigits[i]) + 1;
+    if (digit === digits.length) {
+      integerDigits[i] = digits[0];
+    } else {
+      integerDigits[i] = digits[digit];
+      carry = false;
+    }
+  }
+
+  if (!carry) return head + integerDigits.join('');
+  if (head === 'Z') return 'a' + digits[0];
+  if (head === 'z') return null;
+
+  const nextHead = String.fromCharCode(head.charCodeAt(0) + 1);
+  if (nextHead > 'a') {
+    integerDigits.push(digits[0]);
+  } else {
+    integerDigits.pop();
+  }
+  return nextHead + integerDigits.join('');
+}
+
+function decrementInteger(integer) {
+  const [head, ...integerDigits] = integer.split('');
+  let borrow = true;
+  for (let i = integerDigits.length - 1; borrow && i >= 0; i--) {
+    const digit = digits.indexOf(integerDigits[i]) - 1;
+    if (digit === -1) {
+      integerDigits[i] = digits[digits.length - 1];
+    } else {
+      integerDigits[i] = digits[digit];
+      borrow = false;
+    }
+  }
+
+  if (!borrow) return head + integerDigits.join('');
+  if (head === 'a') return 'Z' + digits[digits.length - 1];
+  if (head === 'A') return null;
+
+  const previousHead = String.fromCharCode(head.charCodeAt(0) - 1);
+  if (previousHead < 'Z') {
+    integerDigits.push(digits[digits.length - 1]);
+  } else {
+    integerDigits.pop();
+  }
+  return previousHead + integerDigits.join('');
+}
+
+/**
+ * Generate a key that sorts between a and b. Either may be null, meaning "before everything"
+ * (a) or "after everything" (b).
+ */
+function generateKeyBetween(a, b) {
+  if (a !== null) validateKey(a);
+  if (b !== null) validateKey(b);
+  if (a !== null && b !== null && a >= b) {
+    throw new Error(`Cannot generate an index between ${a} and ${b}`);
+  }
+
+  if (a === null) {
+    if (b === null) return 'a' + digits[0];
+
+    const integerB = getIntegerPart(b);
+    const fractionB = b.slice(integerB.length);
+    if (integerB === smallestInteger) {
+      return integerB + midpoint('', fractionB);
+    }
+    if (integerB < b) {
+      return integerB;
+    }
+    const decremented = decrementInteger(integerB);
+    if (decremented === null) {
+      throw new Error('Cannot generate an index before ' + b);
+    }
+    return decremented;
+  }
+
+  if (b === null) {
+    const integerA = getIntegerPart(a);
+    const fractionA = a.slice(integerA.length);
+    const incremented = incrementInteger(integerA);
+    return incremented === null ? integerA + midpoint(fractionA, null) : incremented;
+  }
+
+  const integerA = getIntegerPart(a);
+  const fractionA = a.slice(integerA.length);
+  const integerB = getIntegerPart(b);
+  const fractionB = b.slice(integerB.length);
+  if (integerA === integerB) {
+    return integerA + midpoint(fractionA, fractionB);
+  }
+
+  const incremented = incrementInteger(integerA);
+  if (incremented === null) {
+    throw new Error('Cannot generate an index after ' + a);
+  }
+  if (incremented < b) {
+    return incremented;
+  }
+  return integerA + midpoint(fractionA, null);
+}
+
+/**
+ * Generate n keys in order between a and b (either may be null)
+ */
+function generateKeysBetween(a, b, n) {
+  if (n === 0) return [];
+  if (n === 1) return [generateKeyBetween(a, b)];
+
+  if (b === null) {
+    const keys = [generateKeyBetween(a, null)];
+    while (keys.length < n) {
+      keys.push(generateKeyBetween(keys[keys.length - 1], null));
+    }
+    return keys;
+  }
+
+  if (a === null) {
+    const keys = [generateKeyBetween(null, b)];
+    while (keys.length < n) {
+      keys.unshift(generateKeyBetween(null, keys[0]));
+    }
+    return keys;
+  }
+
+  const middleIndex = Math.floor(n / 2);
+  const middle = generateKeyBetween(a, b);
+  return [...generateKeysBetween(a, middle, middleIndex), middle, ...generateKeysBetween(middle, b, n - middleIndex - 1)];
+}
+
+/**
+ * Sort comparator for index keys (plain code unit order, not locale order)
+ */
+function compareIndexes(a, b) {
+  if (a === b) return 0;
+  return a < b ? -1 : 1;
+}
+
+module.exports = { generateKeyBetween, generateKeysBetween, isValidIndex, compareIndexes };
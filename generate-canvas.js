@@ -8,10 +8,44 @@
 
 const fs = require('fs');
 const path = require('path');
+const { validateRoomSnapshot, printViolations } = require('./validate-canvas.js');
+const { generateKeysBetween, isValidIndex, compareIndexes } = require('./fractional-index.js');
+const { containerShapeTypes, findShapeContainers, resolveShapeParentId } = require('./room-layout.js');
+const { widgetPropertiesSchema, canvasLinkInfoSchema, propertiesToRecord } = require('./properties-schema.js');
+const { currentSchema } = require('./schema-migrations.js');
+const { hashContent, getSyncedFileKey, loadSyncedFileHashes, saveSyncedFileHashes } = require('./synced-files.js');
 
 class CanvasStateGenerator {
-  constructor(rootDir = process.cwd()) {
+  constructor(rootDir = process.cwd(), options = {}) {
     this.rootDir = rootDir;
+    this.invalidRooms = []; // Rooms whose snapshot failed validation and was not written
+    this.staleRooms = [];
+
+    // --check generates in memory and only reports rooms whose canvas-state.json on disk is out of date
+    this.checkOnly = options.check !== undefined ? options.check : process.argv.includes('--check');
+
+    // Source maps help while developing but bloat canvas-state.json: --strip-source-maps or
+    // "generate": { "stripSourceMaps": true } in miyagi.config.json keeps them out of the snapshot
+    this.stripSourceMaps = options.stripSourceMaps !== undefined
+      ? options.stripSourceMaps
+      : process.argv.includes('--strip-source-maps') || this.loadGenerateConfig().stripSourceMaps === true;
+  }
+
+  /**
+   * Read the "generate" section of miyagi.config.json, or an empty config when there is none or it cannot be parsed
+   */
+  loadGenerateConfig() {
+    const configPath = path.join(this.rootDir, 'miyagi.config.json');
+    if (!fs.existsSync(configPath)) {
+      return {};
+    }
+
+    try {
+      return JSON.parse(fs.readFileSync(configPath, 'utf8')).generate || {};
+    } catch (error) {
+      console.warn(`⚠️ Could not parse miyagi.config.json, using default settings: ${error.message}`);
+      return {};
+    }
   }
 
   /**
@@ -32,6 +66,24 @@ class CanvasStateGenerator {
         if (success) totalGenerated++;
       }
 
+      if (this.invalidRooms.length > 0) {
+        console.error(`❌ Canvas state generation failed: ${this.invalidRooms.length} rooms have an invalid canvas state, their canvas-state.json was not written (see the violations above):`);
+        this.invalidRooms.forEach(roomDir => console.error(`  - ${path.relative(this.rootDir, roomDir) || '.'}`));
+        process.exitCode = 1;
+        return false;
+      }
+
+      if (this.checkOnly) {
+        if (this.staleRooms.length > 0) {
+          console.error(`❌ ${this.staleRooms.length} rooms have an out-of-date canvas-state.json (run generate-canvas.js and commit the result):`);
+          this.staleRooms.forEach(roomDir => console.error(`  - ${path.relative(this.rootDir, roomDir) || '.'}`));
+          process.exitCode = 1;
+          return false;
+        }
+        console.log(`✅ All ${roomDirs.length} canvas-state.json files are up to date`);
+        return true;
+      }
+
       console.log(`✅ Canvas state generation completed successfully!`);
       console.log(`📊 Generated ${totalGenerated}/${roomDirs.length} canvas-state.json files`);
       return totalGenerated > 0;
@@ -87,28 +139,56 @@ class CanvasStateGenerator {
         return false;
       }
 
-      // Step 2: Load widgets from widget-* directories
+      // Step 2: Load widgets from widget-* directories (in the room and its page-* directories)
       const { widgets, widgetStorage } = await this.loadRoomWidgets(roomDir);
 
       // Step 3: Load canvas-links from direct child room directories
       const canvasLinks = await this.loadCanvasLinksForParentRoom(roomDir);
 
-      // Step 4: Load general objects from general-shape-*.json and general-asset-*.json files
+      // Step 4: Load general objects from general-shape/asset/binding-*.json files and general-records.json
       const generalObjects = await this.loadGeneralObjects(roomDir);
 
-      // Step 5: Generate tldraw RoomSnapshot
+      // Step 5: Generate tldraw RoomSnapshot, comparing against the previous one to advance clocks
+      const canvasStatePath = path.join(roomDir, 'canvas-state.json');
       const roomSnapshot = this.generateRoomSnapshot({
         canvasMetadata,
         globalStorage,
         widgetStorage,
         widgets,
         canvasLinks,
-        generalObjects
+        generalObjects,
+        previousSnapshot: this.loadPreviousSnapshot(canvasStatePath)
       });
 
-      // Step 6: Write canvas-state.json to this room directory
-      const canvasStatePath = path.join(roomDir, 'canvas-state.json');
-      fs.writeFileSync(canvasStatePath, JSON.stringify(roomSnapshot, null, 2), 'utf8');
+      // Step 6: Refuse to write a snapshot the sync server would reject or corrupt
+      const violations = validateRoomSnapshot(roomSnapshot, { roomDir });
+      if (violations.length > 0) {
+        console.error(`❌ Invalid canvas state for room ${roomName} (${violations.length} violations), not writing canvas-state.json:`);
+        printViolations(violations);
+        this.invalidRooms.push(roomDir);
+        return false;
+      }
+
+      const canvasStateJson = JSON.stringify(roomSnapshot, null, 2);
+      const isCurrent = fs.existsSync(canvasStatePath) && fs.readFileSync(canvasStatePath, 'utf8') === canvasStateJson;
+      if (this.checkOnly) {
+        if (!isCurrent) {
+          this.staleRooms.push(roomDir);
+          console.error(`❌ canvas-state.json of room ${roomName} is out of date`);
+        } else {
+          console.log(`✅ canvas-state.json of room ${roomName} is up to date`);
+        }
+        return true;
+      }
+
+      // Step 7: Write canvas-state.json to this room directory, leaving an up-to-date file untouched.
+      // Either way the widget files now match it, so unpack does not take them for local edits.
+      this.recordSyncedFiles(widgets);
+      if (isCurrent) {
+        console.log(`✅ canvas-state.json of room ${roomName} is unchanged`);
+        return true;
+      }
+      fs.writeFileSync(canvasStatePath, canvasStateJson, 'utf8');
       
       console.log(`✅ Generated canvas-state.json for ${roomName} with ${widgets.length} widgets, ${canvasLinks.length} canvas-links, and ${generalObjects.length} general objects`);
       return true;
@@ -119,6 +199,17 @@ class CanvasStateGenerator {
     }
   }
 
+  /**
+   * Record the widget files a canvas-state.json was generated from as synced (see synced-files.js)
+   */
+  recordSyncedFiles(widgets) {
+    const syncedFileHashes = loadSyncedFileHashes(this.rootDir);
+    for (const widget of widgets) {
+      Object.assign(syncedFileHashes, widget.fileHashes);
+    }
+    saveSyncedFileHashes(this.rootDir, syncedFileHashes);
+  }
+
   /**
    * Load canvas-metadata.json for a room
    */
@@ -154,22 +245,28 @@ class CanvasStateGenerator {
   }
 
   /**
-   * Load all widgets from widget-* directories in a room
+   * Load all widgets from widget-* directories in a room (and its page, frame and group directories)
    */
   async loadRoomWidgets(roomDir) {
-    const entries = fs.readdirSync(roomDir, { withFileTypes: true });
-    const shapeDirectories = entries
-      .filter(entry => entry.isDirectory() && entry.name.startsWith('widget-'))
-      .map(entry => entry.name);
+    const shapeDirectories = [];
+    for (const container of findShapeContainers(roomDir)) {
+      const entries = fs.readdirSync(container.dir, { withFileTypes: true });
+      for (const entry of entries) {
+        if (entry.isDirectory() && entry.name.startsWith('widget-')) {
+          shapeDirectories.push({ container, shapeDir: entry.name });
+        }
+      }
+    }
 
     console.log(`  🧩 Found ${shapeDirectories.length} widget directories in ${path.basename(roomDir)}`);
 
     const widgets = [];
     const widgetStorage = {};
 
-    for (const shapeDir of shapeDirectories) {
-      const widget = await this.loadWidget(roomDir, shapeDir);
+    for (const { container, shapeDir } of shapeDirectories) {
+      const widget = await this.loadWidget(container.dir, shapeDir);
       if (widget) {
+        widget.container = container;
         widgets.push(widget);
         
         // Add widget storage to the room's widget storage map
@@ -193,26 +290,52 @@ class CanvasStateGenerator {
     try {
       // Load all widget files
       const propertiesPath = path.join(widgetDir, 'properties.json');
-      const jsxPath = path.join(widgetDir, 'template.jsx');
+      // TypeScript widgets use template.tsx in place of template.jsx
+      const templateLanguage = fs.existsSync(path.join(widgetDir, 'template.tsx')) ? 'tsx' : 'jsx';
+      const jsxPath = path.join(widgetDir, `template.${templateLanguage}`);
       const htmlPath = path.join(widgetDir, 'template.html');
+      const cssPath = path.join(widgetDir, 'template.css');
       const storagePath = path.join(widgetDir, 'storage.json');
 
+      // Hashes of the files read, recorded as synced once the room's canvas-state.json is written
+      const fileHashes = {};
+      const readWidgetFile = (filePath) => {
+        const content = fs.readFileSync(filePath, 'utf8');
+        fileHashes[getSyncedFileKey(this.rootDir, filePath)] = hashContent(content);
+        return content;
+      };
+
       const properties = fs.existsSync(propertiesPath) 
-        ? JSON.parse(fs.readFileSync(propertiesPath, 'utf8')) 
+        ? JSON.parse(readWidgetFile(propertiesPath)) 
         : null;
       
       const jsxContent = fs.existsSync(jsxPath) 
-        ? fs.readFileSync(jsxPath, 'utf8') 
+        ? readWidgetFile(jsxPath) 
         : '';
       
-      const htmlContent = fs.existsSync(htmlPath) 
-        ? fs.readFileSync(htmlPath, 'utf8') 
+      let htmlContent = fs.existsSync(htmlPath) 
+        ? readWidgetFile(htmlPath) 
+        : '';
+
+      // A sidecar template.html.map cannot be resolved from the canvas, so only inline maps are kept
+      htmlContent = this.stripSourceMaps
+        ? htmlContent.replace(/^[ \t]*\/\/# sourceMappingURL=.*\n/gm, '')
+        : htmlContent.replace(/^[ \t]*\/\/# sourceMappingURL=(?!data:).*\n/gm, '');
+
+      const cssContent = fs.existsSync(cssPath) 
+        ? readWidgetFile(cssPath) 
         : '';
       
       const storage = fs.existsSync(storagePath) 
-        ? JSON.parse(fs.readFileSync(storagePath, 'utf8')) 
+        ? JSON.parse(readWidgetFile(storagePath)) 
         : {};
 
+      // Sibling modules imported by the template (bundled into template.html by compile.js)
+      const sourceFiles = this.loadWidgetSourceFiles(widgetDir);
+      for (const [relativePath, content] of Object.entries(sourceFiles)) {
+        fileHashes[getSyncedFileKey(this.rootDir, path.join(widgetDir, relativePath))] = hashContent(content);
+      }
+
       if (!properties || !jsxContent || !htmlContent) {
         console.log(`⚠️ Skipping incomplete widget: ${shapeDir}`);
         return null;
@@ -222,8 +345,12 @@ class CanvasStateGenerator {
         shapeId,
         properties,
         jsxContent,
+        templateLanguage,
         htmlContent,
-        storage
+        cssContent,
+        storage,
+        sourceFiles,
+        fileHashes
       };
 
     } catch (error) {
@@ -232,6 +359,27 @@ class CanvasStateGenerator {
     }
   }
 
+  /**
+   * Load extra .js/.jsx/.ts/.tsx/.css modules from a widget directory, keyed by path relative to the widget
+   */
+  loadWidgetSourceFiles(widgetDir, currentDir = widgetDir, sourceFiles = {}) {
+    const entries = fs.readdirSync(currentDir, { withFileTypes: true })
+      .sort((a, b) => a.name.localeCompare(b.name));
+
+    for (const entry of entries) {
+      const fullPath = path.join(currentDir, entry.name);
+
+      if (entry.isDirectory() && !entry.name.startsWith('.') && entry.name !== 'node_modules') {
+        this.loadWidgetSourceFiles(widgetDir, fullPath, sourceFiles);
+      } else if (entry.isFile() && /\.([jt]sx?|css)$/.test(entry.name) && !(currentDir === widgetDir && entry.name.startsWith('template.'))) {
+        const relativePath = path.relative(widgetDir, fullPath).split(path.sep).join('/');
+        sourceFiles[relativePath] = fs.readFileSync(fullPath, 'utf8');
+      }
+    }
+
+    return sourceFiles;
+  }
+
   /**
    * Load canvas-links that should be included in this room's canvas-state
    * Only looks at direct child directories of the current room
@@ -257,29 +405,16 @@ class CanvasStateGenerator {
           
           // Check if this canvas-link should appear in the current room
           if (canvasLinkInfo.parentCanvasId === currentRoomName) {
+            const shapeId = canvasLinkInfo.linkShapeId ?? `shape:link-to-${entry.name}`;
             canvasLinks.push({
-              shapeId: canvasLinkInfo.linkShapeId || `shape:link-to-${entry.name}`,
-              properties: {
-                id: canvasLinkInfo.linkShapeId || `shape:link-to-${entry.name}`,
+              shapeId,
+              properties: propertiesToRecord(canvasLinkInfoSchema, canvasLinkInfo, {
+                id: shapeId,
                 typeName: 'shape',
                 type: 'canvas-link',
-                parentId: canvasLinkInfo.parentId || 'page:page',
-                index: canvasLinkInfo.index || 'a1',
-                x: canvasLinkInfo.position?.x || 0,
-                y: canvasLinkInfo.position?.y || 0,
-                rotation: canvasLinkInfo.rotation || 0,
-                isLocked: canvasLinkInfo.isLocked || false,
-                opacity: canvasLinkInfo.opacity || 1,
-                meta: canvasLinkInfo.meta || {},
-                props: {
-                  w: canvasLinkInfo.size?.w || 200,
-                  h: canvasLinkInfo.size?.h || 100,
-                  targetCanvasId: entry.name, // The child room ID
-                  label: canvasLinkInfo.label || `Link to ${entry.name}`,
-                  linkType: canvasLinkInfo.linkType || 'realfile'
-                }
-              },
-              lastChangedClock: canvasLinkInfo.lastChangedClock || 0
+                'props.targetCanvasId': entry.name // The child room ID
+              }),
+              lastChangedClock: canvasLinkInfo.lastChangedClock ?? null
             });
           }
         } catch (error) {
@@ -291,33 +426,60 @@ class CanvasStateGenerator {
     return canvasLinks;
   }
 
-  // Load all general objects from general-shape-*.json and general-asset-*.json files in a room
+  // Load all general objects from general-shape-*.json, general-asset-*.json and general-binding-*.json files
+  // in a room and its page, frame and group directories, plus the records of any other type from general-records.json.
+  // Returns [{ state, container }], container is the directory the record was found in (null for other records).
   async loadGeneralObjects(roomDir) {
-    const entries = fs.readdirSync(roomDir, { withFileTypes: true });
-    const generalObjectFiles = entries
-      .filter(entry => entry.isFile() && (entry.name.startsWith('general-shape-') || entry.name.startsWith('general-asset-')) && entry.name.endsWith('.json'))
-      .map(entry => entry.name);
+    const generalObjectFiles = [];
+    for (const container of findShapeContainers(roomDir)) {
+      const entries = fs.readdirSync(container.dir, { withFileTypes: true });
+      for (const entry of entries) {
+        if (entry.isFile() && /^general-(shape|asset|binding)-.+\.json$/.test(entry.name)) {
+          generalObjectFiles.push({ container, objectFile: entry.name });
+        }
+      }
+    }
 
     console.log(`  🔷 Found ${generalObjectFiles.length} general object files in ${path.basename(roomDir)}`);
 
     const generalObjects = [];
 
-    for (const objectFile of generalObjectFiles) {
-      const generalObject = await this.loadGeneralObject(roomDir, objectFile);
+    for (const { container, objectFile } of generalObjectFiles) {
+      const generalObject = await this.loadGeneralObject(container.dir, objectFile);
       if (generalObject) {
-        generalObjects.push(generalObject);
+        generalObjects.push({ state: generalObject, container });
       }
     }
 
+    generalObjects.push(...this.loadOtherRecords(roomDir).map(state => ({ state, container: null })));
+
     return generalObjects;
   }
 
-  // Load a single general object from general-shape-*.json or general-asset-*.json file
+  // Load the records of other types (camera, custom records, ...) that unpack-canvas-state.js keeps in general-records.json
+  loadOtherRecords(roomDir) {
+    const recordsPath = path.join(roomDir, 'general-records.json');
+    if (!fs.existsSync(recordsPath)) {
+      return [];
+    }
+
+    try {
+      const records = JSON.parse(fs.readFileSync(recordsPath, 'utf8'));
+      console.log(`  🗃️  Found ${records.length} other records in ${path.basename(roomDir)}`);
+      return records;
+    } catch (error) {
+      console.error(`❌ Error loading general-records.json from ${roomDir}:`, error);
+      return [];
+    }
+  }
+
+  // Load a single general object from a general-shape/asset/binding-*.json file
   async loadGeneralObject(roomDir, objectFileName) {
     const objectFilePath = path.join(roomDir, objectFileName);
     
     try {
       const objectData = JSON.parse(fs.readFileSync(objectFilePath, 'utf8'));      
+      // Files unpacked by older versions carry a generatedAt timestamp that is not part of the record
       const { generatedAt, ...cleanObjectState } = objectData;
       return cleanObjectState;
 
@@ -327,20 +489,153 @@ class CanvasStateGenerator {
     }
   }
 
+  /**
+   * Load the canvas-state.json being replaced, if there is a readable one
+   */
+  loadPreviousSnapshot(canvasStatePath) {
+    if (!fs.existsSync(canvasStatePath)) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(fs.readFileSync(canvasStatePath, 'utf8'));
+    } catch (error) {
+      console.warn(`⚠️ Could not parse previous ${path.relative(this.rootDir, canvasStatePath)}, all records count as changed`);
+      return null;
+    }
+  }
+
+  /**
+   * Serialize a value with sorted object keys, so records compare equal regardless of key order
+   */
+  stableStringify(value) {
+    if (Array.isArray(value)) {
+      return `[${value.map(item => this.stableStringify(item)).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+      return `{${Object.keys(value).sort()
+        .filter(key => value[key] !== undefined)
+        .map(key => `${JSON.stringify(key)}:${this.stableStringify(value[key])}`)
+        .join(',')}}`;
+    }
+    return JSON.stringify(value);
+  }
+
+  /**
+   * Set each document's lastChangedClock the way the sync layer expects: records identical to the previous
+   * snapshot keep their clock, new and changed records get the next room clock. The room clock only advances
+   * when something changed (including removed records), so regenerating an unchanged room is a no-op.
+   * Without a previous snapshot the clocks recorded in the room files are kept where present.
+   *
+   * Records of the previous snapshot that are gone now (widget directory or general object file deleted)
+   * get a tombstone at the new clock, so live clients delete them instead of syncing them back.
+   */
+  applyChangeClocks(documents, previousSnapshot, canvasMetadata) {
+    const previousDocuments = new Map((previousSnapshot?.documents || []).map(doc => [doc.state?.id, doc]));
+    const tombstones = { ...(canvasMetadata?.tombstones || {}), ...(previousSnapshot?.tombstones || {}) };
+    const recordedClocks = documents.map(doc => doc.lastChangedClock || 0);
+    const baseClock = Math.max(previousSnapshot?.clock || 0, canvasMetadata?.clock || 0, ...recordedClocks);
+    const nextClock = baseClock + 1;
+    let changed = false;
+
+    for (const doc of documents) {
+      const previous = previousDocuments.get(doc.state.id);
+      previousDocuments.delete(doc.state.id);
+
+      // A record that exists again (e.g. a restored widget directory) is no longer deleted
+      if (Object.prototype.hasOwnProperty.call(tombstones, doc.state.id)) {
+        delete tombstones[doc.state.id];
+        changed = true;
+      }
+
+      if (previous && this.stableStringify(previous.state) === this.stableStringify(doc.state)) {
+        doc.lastChangedClock = previous.lastChangedClock;
+      } else if (!previousSnapshot && doc.lastChangedClock) {
+        // Keep the clock recorded by unpack-canvas-state.js
+      } else {
+        doc.lastChangedClock = nextClock;
+        changed = true;
+      }
+    }
+
+    // Anything left was removed from the room
+    for (const removedId of previousDocuments.keys()) {
+      if (!removedId) continue;
+      console.log(`  🪦 Tombstoning deleted record: ${removedId}`);
+      tombstones[removedId] = nextClock;
+      changed = true;
+    }
+
+    if (changed) {
+      return { clock: nextClock, documentClock: nextClock, tombstones };
+    }
+
+    const clock = previousSnapshot?.clock || baseClock;
+    return { clock, documentClock: previousSnapshot?.documentClock || canvasMetadata?.documentClock || clock, tombstones };
+  }
+
+  /**
+   * Give pages and shapes without an index one above their existing siblings (shapes with the same parent),
+   * so new records are placed in front instead of colliding with existing z-order
+   */
+  assignMissingIndexes(documents) {
+    const siblingGroups = new Map();
+    for (const doc of documents) {
+      const state = doc.state;
+      if (state.typeName !== 'page' && state.typeName !== 'shape') continue;
+
+      const groupKey = state.typeName === 'page' ? 'page' : state.parentId;
+      if (!siblingGroups.has(groupKey)) siblingGroups.set(groupKey, []);
+      siblingGroups.get(groupKey).push(state);
+    }
+
+    for (const siblings of siblingGroups.values()) {
+      const missing = siblings.filter(state => !state.index);
+      if (missing.length === 0) continue;
+
+      const existing = siblings.map(state => state.index).filter(isValidIndex).sort(compareIndexes);
+      const keys = generateKeysBetween(existing.length > 0 ? existing[existing.length - 1] : null, null, missing.length);
+      missing.forEach((state, i) => { state.index = keys[i]; });
+    }
+  }
+
   /**
    * Generate tldraw RoomSnapshot from room data
    */
   generateRoomSnapshot(roomData) {
-    const { canvasMetadata, globalStorage, widgetStorage, widgets, canvasLinks, generalObjects } = roomData;
+    const { canvasMetadata, globalStorage, widgetStorage, widgets, canvasLinks, generalObjects, previousSnapshot } = roomData;
     
     // Extract canvas info from metadata (preserve existing values)
     const roomId = canvasMetadata?.canvas?.roomId || 'room-generated';
     const canvasMode = canvasMetadata?.canvas?.canvasMode || 'freeform';
     const canvasName = canvasMetadata?.canvas?.canvasName || 'Generated Canvas';
     const gridSize = canvasMetadata?.canvas?.gridSize || 10;
-    const pageId = canvasMetadata?.pages?.[0]?.id || 'page:page';
-    const pageName = canvasMetadata?.pages?.[0]?.name || 'Page 1';
-    
+    const pages = canvasMetadata?.pages?.length > 0 ? canvasMetadata.pages : [{ id: 'page:page', name: 'Page 1' }];
+    const pageId = pages[0].id || 'page:page';
+
+    const knownPageIds = new Set(pages.map(page => page.id));
+    for (const { container } of [...widgets, ...generalObjects]) {
+      if (container?.pageId && !knownPageIds.has(container.pageId)) {
+        console.warn(`⚠️ ${container.pageId} has a page directory but is not listed in canvas-metadata.json pages`);
+        knownPageIds.add(container.pageId);
+      }
+    }
+
+    // Shapes take their parent from the directory they are in, so moving files moves shapes between
+    // pages, frames and groups
+    const containerShapeIds = new Set(generalObjects
+      .filter(({ state }) => state.typeName === 'shape' && containerShapeTypes.includes(state.type))
+      .map(({ state }) => state.id));
+    const resolveParentId = (parentId, container) => container
+      ? resolveShapeParentId(parentId, container, pageId, containerShapeIds)
+      : parentId;
+
+    // Unpack writes an empty storage.json for widgets without stored data, which the snapshot has no entry for
+    const previousWidgetStorage = previousSnapshot?.documents
+      ?.find(doc => doc.state?.typeName === 'canvas_storage')?.state?.widgets || {};
+    const roomWidgetStorage = Object.fromEntries(Object.entries(widgetStorage).filter(([shapeId, storage]) =>
+      Object.keys(storage || {}).length > 0 || Object.prototype.hasOwnProperty.call(previousWidgetStorage, shapeId)));
+
     const documents = [
       // Document record
       {
@@ -355,132 +650,84 @@ class CanvasStateGenerator {
           id: 'document:document',
           typeName: 'document'
         },
-        lastChangedClock: canvasMetadata?.documentClock || 2
+        lastChangedClock: canvasMetadata?.documentClock || null
       },
-      // Page record
-      {
+      // Page records
+      ...pages.map((page, pageIndex) => ({
         state: {
-          meta: {},
-          id: pageId,
-          name: pageName,
-          index: 'a1',
+          meta: page.meta || {},
+          id: page.id || pageId,
+          name: page.name || `Page ${pageIndex + 1}`,
+          index: page.index || null,
           typeName: 'page'
         },
-        lastChangedClock: canvasMetadata?.pages?.[0]?.lastChangedClock || 0
-      },
+        lastChangedClock: page.lastChangedClock || null
+      })),
       // Canvas storage record - CRITICAL for per-room storage
       {
         state: {
-          widgets: widgetStorage, // Per-room widget storage
+          widgets: roomWidgetStorage, // Per-room widget storage
           global: globalStorage,  // Per-room global storage
           id: 'canvas_storage:main',
           typeName: 'canvas_storage'
         },
-        lastChangedClock: canvasMetadata?.canvasStorage?.lastChangedClock || (widgets.length + canvasLinks.length + generalObjects.length + 2)
+        lastChangedClock: canvasMetadata?.canvasStorage?.lastChangedClock || null
       }
     ];
 
     // Add widget shape records
-    let shapeIndex = 1;
     for (const widget of widgets) {
       const props = widget.properties;
-      
+
+      // Only TypeScript widgets carry templateLanguage, styled widgets cssContent and multi-file widgets
+      // sourceFiles, so single-file JSX widgets keep their existing shape
       const widgetDocument = {
-        state: {
-          id: props.shapeId || props.id || widget.shapeId,
+        state: propertiesToRecord(widgetPropertiesSchema, props, {
+          id: props.shapeId ?? props.id ?? widget.shapeId,
           typeName: 'shape',
           type: 'miyagi-widget',
-          parentId: props.parentId || pageId,
-          index: props.index || `a${shapeIndex}`,
-          x: props.position?.x || props.x || 0,
-          y: props.position?.y || props.y || 0,
-          rotation: props.rotation || 0,
-          isLocked: props.isLocked || false,
-          opacity: props.opacity || 1,
-          meta: props.meta || { initializationState: 'ready' },
-          props: {
-            w: props.size?.w || props.w || 300,
-            h: props.size?.h || props.h || 200,
-            widgetId: props.widgetId || `${props.templateHandle || 'widget'}_${Date.now()}`,
-            templateHandle: props.templateHandle || 'notepad-react-test',
-            htmlContent: widget.htmlContent,
-            jsxContent: widget.jsxContent,
-            color: props.color || 'black',
-            zoomScale: props.zoomScale || 1
-          }
-        },
-        lastChangedClock: props.lastChangedClock || (shapeIndex + 2)
+          parentId: resolveParentId(props.parentId, widget.container),
+          'props.htmlContent': widget.htmlContent,
+          'props.jsxContent': widget.jsxContent,
+          'props.templateLanguage': widget.templateLanguage === 'tsx' ? 'tsx' : undefined,
+          'props.cssContent': widget.cssContent || undefined,
+          'props.sourceFiles': Object.keys(widget.sourceFiles || {}).length > 0 ? widget.sourceFiles : undefined
+        }),
+        lastChangedClock: props.lastChangedClock ?? null
       };
 
       documents.push(widgetDocument);
-      shapeIndex++;
     }
 
     // Add canvas-link shape records
     for (const canvasLink of canvasLinks) {
       const linkDocument = {
         state: canvasLink.properties,
-        lastChangedClock: canvasLink.lastChangedClock || (shapeIndex + 2)
+        lastChangedClock: canvasLink.lastChangedClock ?? null
       };
       documents.push(linkDocument);
-      shapeIndex++;
     }
 
-    for (const generalObject of generalObjects) {
+    for (const { state, container } of generalObjects) {
+      if (state.typeName === 'shape') {
+        state.parentId = resolveParentId(state.parentId, container);
+      }
       const generalObjectDocument = {
-        state: generalObject,
-        lastChangedClock: generalObject.lastChangedClock || (shapeIndex + 2)
+        state,
+        lastChangedClock: state.lastChangedClock || null
       };
       documents.push(generalObjectDocument);
-      shapeIndex++;
     }
 
-    // Use existing metadata values or calculate defaults
-    const totalClock = canvasMetadata?.clock || (documents.length + 1);
+    this.assignMissingIndexes(documents);
+    const { clock, documentClock, tombstones } = this.applyChangeClocks(documents, previousSnapshot, canvasMetadata);
 
     return {
-      clock: totalClock,
-      documentClock: canvasMetadata?.documentClock || totalClock,
-      tombstones: canvasMetadata?.tombstones || {},
+      clock,
+      documentClock,
+      tombstones,
       tombstoneHistoryStartsAtClock: canvasMetadata?.tombstoneHistoryStartsAtClock || 1,
-      schema: canvasMetadata?.schema || {
-        schemaVersion: 2,
-        sequences: {
-          "com.tldraw.store": 5,
-          "com.tldraw.asset": 1,
-          "com.tldraw.camera": 1,
-          "com.tldraw.canvas_storage": 1,
-          "com.tldraw.document": 2,
-          "com.tldraw.instance": 25,
-          "com.tldraw.instance_page_state": 5,
-          "com.tldraw.page": 1,
-          "com.tldraw.instance_presence": 6,
-          "com.tldraw.pointer": 1,
-          "com.tldraw.shape": 4,
-          "com.tldraw.asset.bookmark": 2,
-          "com.tldraw.asset.image": 5,
-          "com.tldraw.asset.video": 5,
-          "com.tldraw.shape.arrow": 7,
-          "com.tldraw.shape.bookmark": 2,
-          "com.tldraw.shape.draw": 3,
-          "com.tldraw.shape.embed": 4,
-          "com.tldraw.shape.frame": 1,
-          "com.tldraw.shape.geo": 12,
-          "com.tldraw.shape.group": 0,
-          "com.tldraw.shape.highlight": 1,
-          "com.tldraw.shape.image": 5,
-          "com.tldraw.shape.line": 6,
-          "com.tldraw.shape.note": 9,
-          "com.tldraw.shape.text": 4,
-          "com.tldraw.shape.video": 4,
-          "com.tldraw.shape.miyagi-widget": 0,
-          "com.tldraw.shape.univer": 0,
-          "com.tldraw.shape.block": 0,
-          "com.tldraw.shape.canvas-link": 0,
-          "com.tldraw.shape.file": 0,
-          "com.tldraw.binding.arrow": 1
-        }
-      },
+      schema: canvasMetadata?.schema || currentSchema,
       documents: documents
     };
   }
@@ -508,3 +755,4 @@ if (require.main === module) {
   }
 }
 
+module.exports = CanvasStateGenerator;
@@ -3,6 +3,7 @@
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
+const { getFrontIndex } = require('./reorder-widget.js');
 
 /**
  * Generate a random shape ID similar to tldraw's format
@@ -19,38 +20,53 @@ function generateShapeId() {
 }
 
 /**
- * Read page ID from canvas metadata
+ * Read the pages from canvas metadata
  * @param {string} roomPath - The absolute path to the room directory
- * @returns {string} The page ID from canvas metadata, or 'page:page' as fallback
+ * @returns {Array<{id: string, name: string}>} The pages from canvas metadata, or a single 'page:page' as fallback
  */
-function getPageIdFromMetadata(roomPath) {
+function getPagesFromMetadata(roomPath) {
   try {
     const metadataPath = path.join(roomPath, 'canvas-metadata.json');
     if (fs.existsSync(metadataPath)) {
       const metadata = JSON.parse(fs.readFileSync(metadataPath, 'utf8'));
       if (metadata.pages && metadata.pages.length > 0) {
-        return metadata.pages[0].id;
+        return metadata.pages;
       }
     }
   } catch (error) {
     console.warn('Warning: Could not read canvas metadata, using default page ID');
   }
-  return 'page:page'; // fallback
+  return [{ id: 'page:page', name: 'Page 1' }]; // fallback
+}
+
+/**
+ * Find the page a widget should be created on
+ * @param {Array<{id: string, name: string}>} pages - The room's pages, first page first
+ * @param {string} [pageRef] - Page ID (with or without the 'page:' prefix) or page name; defaults to the first page
+ * @returns {{id: string, name: string}|undefined} The matching page
+ */
+function findPage(pages, pageRef) {
+  if (!pageRef) {
+    return pages[0];
+  }
+  return pages.find(page => page.id === pageRef || page.id === `page:${pageRef}` || page.name === pageRef);
 }
 
 /**
  * Generate widget directory and files
  * @param {string} roomPath - The absolute path to the room directory
  * @param {string} templateHandle - Template handle (required)
+ * @param {string} [pageRef] - Page ID or name to place the widget on (defaults to the first page)
  */
-function generateWidget(roomPath, templateHandle) {
+function generateWidget(roomPath, templateHandle, pageRef) {
   if (!roomPath || !templateHandle) {
     console.error('Error: Both roomPath and templateHandle are required');
-    console.log('Usage: node generate-widget.js <roomPath> <templateHandle>');
+    console.log('Usage: node generate-widget.js <roomPath> <templateHandle> [--page=<pageId|pageName>]');
     console.log('Arguments:');
     console.log('  roomPath       - The absolute path to the room directory');
     console.log('  templateHandle - The template handle (e.g., my-widget)');
-    console.log('Example: node generate-widget.js /path/to/room-12345 my-template');
+    console.log('  --page         - The page to create the widget on (defaults to the first page)');
+    console.log('Example: node generate-widget.js /path/to/room-12345 my-template --page="Page 2"');
     process.exit(1);
   }
 
@@ -63,15 +79,23 @@ function generateWidget(roomPath, templateHandle) {
   // Extract room ID from the path
   const roomId = path.basename(roomPath);
 
-  // Get the page ID from canvas metadata
-  const pageId = getPageIdFromMetadata(roomPath);
+  // Get the page from canvas metadata
+  const pages = getPagesFromMetadata(roomPath);
+  const page = findPage(pages, pageRef);
+  if (!page) {
+    console.error(`Error: Page not found: ${pageRef}`);
+    console.log(`Available pages: ${pages.map(p => `${p.name} (${p.id})`).join(', ')}`);
+    process.exit(1);
+  }
+  const pageId = page.id;
   
   const shapeId = generateShapeId();
   const widgetId = `${templateHandle}_${Date.now()}`;
   const dirName = `widget-${shapeId.replace('shape:', '')}`;
   
-  // Create widget directory in the specified room directory
-  const dirPath = path.join(roomPath, dirName);
+  // Create widget directory in the specified room directory, or its page-* directory for any page but the first
+  const containerPath = pageId === pages[0].id ? roomPath : path.join(roomPath, `page-${pageId.replace('page:', '')}`);
+  const dirPath = path.join(containerPath, dirName);
 
   console.log(`Creating widget directory: ${dirName}`);
   console.log(`Room Path: ${roomPath}`);
@@ -124,8 +148,8 @@ function generateWidget(roomPath, templateHandle) {
       initializationState: "ready"
     },
     parentId: pageId,
-    index: "a1",
-    lastChangedClock: 1676
+    index: getFrontIndex(roomPath, pageId), // In front of every shape already on the page
+    lastChangedClock: null // generate-canvas.js gives new widgets the next room clock
   };
 
   // Write files
@@ -151,9 +175,11 @@ function generateWidget(roomPath, templateHandle) {
 }
 
 // Parse command line arguments
-const args = process.argv.slice(2);
+const args = process.argv.slice(2).filter(arg => !arg.startsWith('--'));
+const pageOption = process.argv.slice(2).find(arg => arg.startsWith('--page='));
 const roomPath = args[0];
 const templateHandle = args[1];
+const pageRef = pageOption ? pageOption.slice('--page='.length) : undefined;
 
 // Run the generator
-generateWidget(roomPath, templateHandle);
+generateWidget(roomPath, templateHandle, pageRef);
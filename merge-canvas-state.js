@@ -0,0 +1,261 @@
+#!/usr/bin/env node
+
+/**
+ * Git merge driver for canvas-state.json, storage.json and global-storage.json
+ *
+ * canvas-state.json snapshots are merged record by record (documents matched by id), and records changed on
+ * both sides field by field, so two people editing different widgets (or different fields of one widget)
+ * merge cleanly. Storage files and the canvas_storage record are merged key by key. Only fields changed
+ * differently on both sides get conflict markers; a record deleted on one side and changed on the other gets
+ * them around the whole document and around its tombstone. Files that are not valid JSON fall back to git merge-file.
+ *
+ * Registered by setup-hooks.js:
+ *   .gitattributes:  canvas-state.json merge=miyagi-canvas-state
+ *   git config:      merge.miyagi-canvas-state.driver "node .miyagi/merge-canvas-state.js %O %A %B %P"
+ *
+ * Usage: node merge-canvas-state.js <base> <ours> <theirs> [pathname]
+ * Writes the result to <ours> and exits with 1 when conflicts are left.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const conflictMarker = '\u0000miyagi-conflict-';
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isEqual(a, b) {
+  if (a === b) return true;
+  if (typeof a !== typeof b || a === null || b === null || typeof a !== 'object') return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+  const keysA = Object.keys(a);
+  const keysB = Object.keys(b);
+  return keysA.length === keysB.length && keysA.every(key => Object.prototype.hasOwnProperty.call(b, key) && isEqual(a[key], b[key]));
+}
+
+/**
+ * Three-way merge of two JSON values against their common base. Objects are merged key by key, anything
+ * else changed differently on both sides becomes a conflict placeholder recorded in `conflicts`.
+ * `undefined` stands for a missing value (a deleted key or record).
+ */
+function mergeValues(base, ours, theirs, conflicts) {
+  if (isEqual(ours, theirs)) return ours;
+  if (isEqual(base, ours)) return theirs;
+  if (isEqual(base, theirs)) return ours;
+
+  if (isPlainObject(ours) && isPlainObject(theirs)) {
+    const baseObject = isPlainObject(base) ? base : {};
+    const merged = {};
+    const keys = [...Object.keys(ours), ...Object.keys(theirs).filter(key => !(key in ours))];
+    for (const key of keys) {
+      const value = mergeValues(baseObject[key], ours[key], theirs[key], conflicts);
+      if (value !== undefined) merged[key] = value;
+    }
+    return merged;
+  }
+
+  return addConflict(ours, theirs, conflicts);
+}
+
+// Record a conflict and return the placeholder standing for it in the merge result
+function addConflict(ours, theirs, conflicts) {
+  conflicts.push({ ours, theirs });
+  return `${conflictMarker}${conflicts.length - 1}`;
+}
+
+function getConflict(value, conflicts) {
+  return typeof value === 'string' && value.startsWith(conflictMarker) ? conflicts[Number(value.slice(conflictMarker.length))] : null;
+}
+
+/**
+ * Merge two RoomSnapshots record by record
+ */
+function mergeSnapshots(base, ours, theirs, conflicts) {
+  const byId = (snapshot) => new Map((snapshot?.documents || []).map(doc => [doc.state?.id, doc]));
+  const baseDocs = byId(base);
+  const ourDocs = byId(ours);
+  const theirDocs = byId(theirs);
+
+  const ids = [...ourDocs.keys(), ...[...theirDocs.keys()].filter(id => !ourDocs.has(id))];
+  const nextClock = Math.max(ours.clock || 0, theirs.clock || 0) + 1;
+  let changedFromOurs = false;
+
+  const documents = [];
+  const mergedIds = new Set(); // Includes records whose state is a conflict placeholder
+  const deleteConflictTombstones = {}; // Tombstone placeholders of records deleted on one side and changed on the other
+  for (const id of ids) {
+    const baseDoc = baseDocs.get(id);
+    const ourDoc = ourDocs.get(id);
+    const theirDoc = theirDocs.get(id);
+    const state = mergeValues(baseDoc?.state, ourDoc?.state, theirDoc?.state, conflicts);
+    if (state === undefined) {
+      if (ourDoc) changedFromOurs = true;
+      continue;
+    }
+    mergedIds.add(id);
+
+    // Deleted on one side and changed on the other: the conflict covers the whole document, and the tombstone
+    // of the deleting side gets its own conflict so taking that side deletes the record cleanly
+    const conflict = getConflict(state, conflicts);
+    if (conflict && (conflict.ours === undefined || conflict.theirs === undefined)) {
+      conflict.ours = ourDoc;
+      conflict.theirs = theirDoc && { state: theirDoc.state, lastChangedClock: nextClock };
+      documents.push(state);
+      const ourTombstone = ourDoc ? undefined : (ours.tombstones || {})[id] || nextClock;
+      deleteConflictTombstones[id] = addConflict(ourTombstone, theirDoc ? undefined : nextClock, conflicts);
+      changedFromOurs = true;
+      continue;
+    }
+
+    if (ourDoc && isEqual(state, ourDoc.state)) {
+      documents.push(ourDoc);
+    } else {
+      // Added or changed on their side, or merged from both: newer than anything either side has synced
+      documents.push({ state, lastChangedClock: nextClock });
+      changedFromOurs = true;
+    }
+  }
+
+  // A record is either live or tombstoned. Records deleted on one side and changed on the other are only
+  // tombstoned on the deleting side of their conflict, so resolving it leaves one or the other.
+  const tombstones = {};
+  for (const [id, clock] of Object.entries({ ...(theirs.tombstones || {}), ...(ours.tombstones || {}) })) {
+    if (mergedIds.has(id)) continue;
+    const isNew = !(ours.tombstones && id in ours.tombstones);
+    tombstones[id] = isNew ? nextClock : clock;
+  }
+  if (Object.keys(tombstones).some(id => !(ours.tombstones && id in ours.tombstones))) {
+    changedFromOurs = true;
+  }
+  Object.assign(tombstones, deleteConflictTombstones);
+
+  // Everything else (schema, tombstoneHistoryStartsAtClock) is merged like any other JSON
+  const withoutRecords = ({ documents, tombstones, clock, documentClock, ...rest }) => rest;
+  const rest = mergeValues(withoutRecords(base || {}), withoutRecords(ours), withoutRecords(theirs), conflicts);
+
+  const clock = changedFromOurs ? nextClock : ours.clock;
+  const documentClock = changedFromOurs ? nextClock : ours.documentClock;
+  return { clock, documentClock, tombstones, ...rest, documents };
+}
+
+/**
+ * Serialize a merge result like JSON.stringify(result, null, 2), expanding conflict placeholders into git-style
+ * conflict markers. Members deleted on one side go inside the markers together with their comma, so taking either
+ * side leaves valid JSON: the last member present on both sides is moved after them, and an object or array with
+ * no such member gets one set of markers around all its members.
+ */
+function serializeMergeResult(result, conflicts) {
+  const json = JSON.stringify(result, null, 2);
+  if (conflicts.length === 0) return json;
+
+  const isOneSided = (value) => {
+    const conflict = getConflict(value, conflicts);
+    return conflict !== null && (conflict.ours === undefined || conflict.theirs === undefined);
+  };
+  const withComma = (lines) => [...lines.slice(0, -1), `${lines[lines.length - 1]},`];
+  const markers = (oursLines, theirsLines) => ['<<<<<<< ours', ...oursLines, '=======', ...theirsLines, '>>>>>>> theirs'];
+
+  const renderSide = (indent, keyPart, value, comma) => {
+    if (value === undefined) return [];
+    const lines = JSON.stringify(value, null, 2).split('\n');
+    return lines.map((line, i) => `${i === 0 ? indent + keyPart : indent}${line}${i === lines.length - 1 ? comma : ''}`);
+  };
+
+  // Lines of a value following indent and keyPart ('"key": ' in objects, '' in arrays)
+  const renderValue = (indent, keyPart, value, comma) => {
+    const conflict = getConflict(value, conflicts);
+    if (conflict) {
+      return markers(renderSide(indent, keyPart, conflict.ours, comma), renderSide(indent, keyPart, conflict.theirs, comma));
+    }
+
+    const entries = Array.isArray(value) ? value.map(item => ['', item])
+      : isPlainObject(value) ? Object.entries(value).map(([key, item]) => [`${JSON.stringify(key)}: `, item])
+      : null;
+    if (!entries || entries.length === 0) {
+      return [`${indent}${keyPart}${JSON.stringify(value)}${comma}`];
+    }
+
+    const [open, close] = Array.isArray(value) ? ['[', ']'] : ['{', '}'];
+    return [`${indent}${keyPart}${open}`, ...renderMembers(`${indent}  `, entries), `${indent}${close}${comma}`];
+  };
+
+  const renderMembers = (indent, entries) => {
+    const present = entries.filter(([, item]) => !isOneSided(item));
+    if (present.length === 0) {
+      const renderAll = (side) => {
+        const members = entries
+          .map(([keyPart, item]) => renderSide(indent, keyPart, getConflict(item, conflicts)[side], ''))
+          .filter(lines => lines.length > 0);
+        return members.flatMap((lines, i) => (i < members.length - 1 ? withComma(lines) : lines));
+      };
+      return markers(renderAll('ours'), renderAll('theirs'));
+    }
+
+    const lastPresent = present[present.length - 1];
+    const ordered = [...entries.filter(entry => entry !== lastPresent), lastPresent];
+    return ordered.flatMap(([keyPart, item], i) => renderValue(indent, keyPart, item, i < ordered.length - 1 ? ',' : ''));
+  };
+
+  return renderValue('', '', result, '').join('\n');
+}
+
+function readJsonFile(filePath) {
+  const content = fs.readFileSync(filePath, 'utf8');
+  return content.trim() === '' ? undefined : JSON.parse(content);
+}
+
+/**
+ * Merge a canvas-state.json or storage file in place, as git calls merge drivers
+ * @param {string} basePath - The common ancestor's version (%O)
+ * @param {string} oursPath - Our version, overwritten with the result (%A)
+ * @param {string} theirsPath - Their version (%B)
+ * @param {string} [pathname] - The path of the file in the repository (%P)
+ * @returns {number} The number of conflicts left in the result
+ */
+function mergeCanvasFile(basePath, oursPath, theirsPath, pathname = oursPath) {
+  let base, ours, theirs;
+  try {
+    base = readJsonFile(basePath);
+    ours = readJsonFile(oursPath);
+    theirs = readJsonFile(theirsPath);
+  } catch (error) {
+    console.warn(`⚠️ ${pathname} is not valid JSON on every side, merging it as text`);
+    try {
+      execFileSync('git', ['merge-file', '-L', 'ours', '-L', 'base', '-L', 'theirs', oursPath, basePath, theirsPath], { stdio: 'ignore' });
+      return 0;
+    } catch (mergeError) {
+      return mergeError.status > 0 ? mergeError.status : 1;
+    }
+  }
+
+  const conflicts = [];
+  const result = path.basename(pathname) === 'canvas-state.json' && isPlainObject(ours) && isPlainObject(theirs)
+    ? mergeSnapshots(base, ours, theirs, conflicts)
+    : mergeValues(base, ours, theirs, conflicts);
+
+  fs.writeFileSync(oursPath, serializeMergeResult(result, conflicts), 'utf8');
+  return conflicts.length;
+}
+
+module.exports = { mergeValues, mergeSnapshots, mergeCanvasFile };
+
+// Parse command line arguments and run when called directly
+if (require.main === module) {
+  const [basePath, oursPath, theirsPath, pathname] = process.argv.slice(2);
+  if (!basePath || !oursPath || !theirsPath) {
+    console.error('Error: The base, ours and theirs files are required');
+    console.log('Usage: node merge-canvas-state.js <base> <ours> <theirs> [pathname]');
+    console.log('Registered as a git merge driver by setup-hooks.js, git passes %O %A %B %P');
+    process.exit(2);
+  }
+
+  const conflictCount = mergeCanvasFile(basePath, oursPath, theirsPath, pathname);
+  if (conflictCount > 0) {
+    console.error(`❌ ${pathname || oursPath}: ${conflictCount} conflicting fields, resolve the conflict markers`);
+    process.exit(1);
+  }
+  console.log(`✅ Merged ${pathname || oursPath}`);
+}
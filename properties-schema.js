@@ -0,0 +1,185 @@
+/**
+ * Declared layout of widget properties.json and canvas-link-info.json files
+ *
+ * Each schema maps the fields of a file to the fields of the tldraw shape record it describes, with the
+ * default generate-canvas.js uses when a field is missing from the file. Values are copied as they are,
+ * so 0, false, '' and null round-trip exactly. Record fields the schema does not know about are kept in
+ * the file (top-level fields as they are, props fields under "props"), and unknown file fields go back
+ * into the record, so shapes from newer tldraw versions are not stripped by an unpack/generate cycle.
+ *
+ * Schema fields:
+ * - file: dotted path in the file (null when the value is not stored in the file)
+ * - record: dotted path in the shape record (null for file-only fields)
+ * - aliases: older file paths that are still read
+ * - default: value, or function of the values read so far, used when the file has no value
+ */
+
+const widgetPropertiesSchema = {
+  fields: [
+    { file: 'shapeId', record: 'id', aliases: ['id'] },
+    { file: 'widgetId', record: 'props.widgetId', default: (values) => `${values['props.templateHandle'] || 'widget'}_${values.id.replace('shape:', '')}` },
+    { file: 'templateHandle', record: 'props.templateHandle' }, // Optional, widgets are not always created from a template
+    { file: 'position.x', record: 'x', aliases: ['x'], default: 0 },
+    { file: 'position.y', record: 'y', aliases: ['y'], default: 0 },
+    { file: 'size.w', record: 'props.w', aliases: ['w'], default: 300 },
+    { file: 'size.h', record: 'props.h', aliases: ['h'], default: 200 },
+    { file: 'rotation', record: 'rotation', default: 0 },
+    { file: 'opacity', record: 'opacity', default: 1 },
+    { file: 'isLocked', record: 'isLocked', default: false },
+    { file: 'color', record: 'props.color', default: 'black' },
+    { file: 'zoomScale', record: 'props.zoomScale', default: 1 },
+    { file: 'meta', record: 'meta', default: () => ({ initializationState: 'ready' }) },
+    { file: 'parentId', record: 'parentId' },
+    { file: 'index', record: 'index', default: null },
+    { file: 'lastChangedClock', record: null },
+    // Stored in the widget's template, html, css and source files
+    { file: null, record: 'props.htmlContent' },
+    { file: null, record: 'props.jsxContent' },
+    { file: null, record: 'props.templateLanguage' },
+    { file: null, record: 'props.cssContent' },
+    { file: null, record: 'props.sourceFiles' }
+  ],
+  // Key order of generated records
+  recordLayout: [
+    'id', 'typeName', 'type', 'parentId', 'index', 'x', 'y', 'rotation', 'isLocked', 'opacity', 'meta',
+    'props.w', 'props.h', 'props.widgetId', 'props.templateHandle', 'props.htmlContent', 'props.jsxContent',
+    'props.color', 'props.zoomScale', 'props.templateLanguage', 'props.cssContent', 'props.sourceFiles'
+  ]
+};
+
+const canvasLinkInfoSchema = {
+  fields: [
+    { file: 'parentCanvasId', record: null },
+    { file: 'linkShapeId', record: 'id' },
+    { file: 'position.x', record: 'x', default: 0 },
+    { file: 'position.y', record: 'y', default: 0 },
+    { file: 'size.w', record: 'props.w', default: 200 },
+    { file: 'size.h', record: 'props.h', default: 100 },
+    { file: 'label', record: 'props.label', default: (values) => `Link to ${values['props.targetCanvasId']}` },
+    { file: 'linkType', record: 'props.linkType', default: 'realfile' },
+    { file: 'rotation', record: 'rotation', default: 0 },
+    { file: 'opacity', record: 'opacity', default: 1 },
+    { file: 'isLocked', record: 'isLocked', default: false },
+    { file: 'meta', record: 'meta', default: () => ({}) },
+    { file: 'parentId', record: 'parentId', default: 'page:page' },
+    { file: 'index', record: 'index', default: null },
+    { file: 'lastChangedClock', record: null },
+    // The name of the room directory holding the file
+    { file: null, record: 'props.targetCanvasId' }
+  ],
+  recordLayout: [
+    'id', 'typeName', 'type', 'parentId', 'index', 'x', 'y', 'rotation', 'isLocked', 'opacity', 'meta',
+    'props.w', 'props.h', 'props.targetCanvasId', 'props.label', 'props.linkType'
+  ]
+};
+
+function getPath(object, dottedPath) {
+  return dottedPath.split('.').reduce((value, key) => (value !== null && typeof value === 'object' ? value[key] : undefined), object);
+}
+
+function setPath(object, dottedPath, value) {
+  const keys = dottedPath.split('.');
+  let target = object;
+  for (const key of keys.slice(0, -1)) {
+    if (target[key] === null || typeof target[key] !== 'object') target[key] = {};
+    target = target[key];
+  }
+  target[keys[keys.length - 1]] = value;
+}
+
+// Record fields the schema knows about, as { topLevel: Set, props: Set }
+function getKnownRecordFields(schema) {
+  const topLevel = new Set(['typeName', 'type', 'props']);
+  const props = new Set();
+  for (const recordPath of schema.recordLayout) {
+    const [root, propName] = recordPath.split('.');
+    if (root === 'props' && propName) props.add(propName);
+    else topLevel.add(root);
+  }
+  return { topLevel, props };
+}
+
+// File fields the schema knows about (the first segment of every file path and alias)
+function getKnownFileFields(schema) {
+  const known = new Set(['props']);
+  for (const field of schema.fields) {
+    for (const filePath of [field.file, ...(field.aliases || [])]) {
+      if (filePath) known.add(filePath.split('.')[0]);
+    }
+  }
+  return known;
+}
+
+/**
+ * Build the contents of a properties file from a shape record
+ * @param {object} schema - widgetPropertiesSchema or canvasLinkInfoSchema
+ * @param {object} state - The shape record
+ * @param {object} [fileValues] - Values of file-only fields, e.g. { lastChangedClock }
+ * @returns {object} The file contents
+ */
+function recordToProperties(schema, state, fileValues = {}) {
+  const file = {};
+
+  for (const field of schema.fields) {
+    if (!field.file) continue;
+    const value = field.record ? getPath(state, field.record) : fileValues[field.file];
+    if (value !== undefined) setPath(file, field.file, value);
+  }
+
+  const known = getKnownRecordFields(schema);
+  for (const [key, value] of Object.entries(state)) {
+    if (!known.topLevel.has(key)) file[key] = value;
+  }
+  for (const [key, value] of Object.entries(state.props || {})) {
+    if (!known.props.has(key)) setPath(file, `props.${key}`, value);
+  }
+
+  return file;
+}
+
+/**
+ * Build a shape record from the contents of a properties file
+ * @param {object} schema - widgetPropertiesSchema or canvasLinkInfoSchema
+ * @param {object} file - The file contents
+ * @param {object} recordValues - Values that do not come from the file, by record path (typeName, type, parentId, ...)
+ * @returns {object} The shape record
+ */
+function propertiesToRecord(schema, file, recordValues) {
+  const values = { ...recordValues };
+
+  for (const field of schema.fields) {
+    if (!field.record || values[field.record] !== undefined || !field.file) continue;
+    const value = [field.file, ...(field.aliases || [])]
+      .map(filePath => getPath(file, filePath))
+      .find(candidate => candidate !== undefined);
+    if (value !== undefined) values[field.record] = value;
+  }
+
+  for (const field of schema.fields) {
+    if (field.record && values[field.record] === undefined && 'default' in field) {
+      values[field.record] = typeof field.default === 'function' ? field.default(values) : field.default;
+    }
+  }
+
+  const state = {};
+  for (const recordPath of schema.recordLayout) {
+    if (values[recordPath] !== undefined) setPath(state, recordPath, values[recordPath]);
+  }
+
+  const knownFileFields = getKnownFileFields(schema);
+  for (const [key, value] of Object.entries(file)) {
+    if (!knownFileFields.has(key) && state[key] === undefined) state[key] = value;
+  }
+  for (const [key, value] of Object.entries(file.props || {})) {
+    if (getPath(state, `props.${key}`) === undefined) setPath(state, `props.${key}`, value);
+  }
+
+  return state;
+}
+
+module.exports = {
+  widgetPropertiesSchema,
+  canvasLinkInfoSchema,
+  recordToProperties,
+  propertiesToRecord
+};
@@ -0,0 +1,189 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const { generateKeyBetween, isValidIndex, compareIndexes } = require('./fractional-index.js');
+const { containerShapeTypes, findShapeContainers, getRoomDirectory, resolveShapeParentId } = require('./room-layout.js');
+
+/**
+ * Get the room directory of a widget directory (widgets on additional pages live in page-* directories,
+ * widgets in frames and groups in frame-* / group-* directories)
+ * @param {string} widgetPath - The path to the widget directory
+ * @returns {string} The room directory
+ */
+function getRoomPath(widgetPath) {
+  return getRoomDirectory(path.dirname(path.resolve(widgetPath)));
+}
+
+function readJson(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * List the shapes of a room that share a parent, sorted by index (back to front)
+ * @param {string} roomPath - The room directory
+ * @param {string} parentId - The page or shape id the shapes belong to
+ * @returns {Array<{id: string, index: string, file: string}>} The sibling shapes that have a valid index
+ */
+function findSiblingShapes(roomPath, parentId) {
+  const candidates = [];
+
+  // Shapes take their parent from the directory they are in, the same way generate-canvas.js derives it
+  for (const container of findShapeContainers(roomPath)) {
+    for (const entry of fs.readdirSync(container.dir, { withFileTypes: true })) {
+      const fullPath = path.join(container.dir, entry.name);
+
+      if (entry.isDirectory() && entry.name.startsWith('widget-')) {
+        const properties = readJson(path.join(fullPath, 'properties.json'));
+        if (properties) {
+          candidates.push({ id: properties.shapeId, index: properties.index, parentId: properties.parentId, container, file: path.join(fullPath, 'properties.json') });
+        }
+      } else if (entry.isFile() && entry.name.startsWith('general-shape-') && entry.name.endsWith('.json')) {
+        const shape = readJson(fullPath);
+        if (shape) {
+          candidates.push({ id: shape.id, index: shape.index, parentId: shape.parentId, type: shape.type, container, file: fullPath });
+        }
+      }
+    }
+  }
+
+  const firstPageId = getFirstPageId(roomPath);
+  const containerShapeIds = getContainerShapeIds(candidates);
+  const shapes = candidates
+    .filter(shape => resolveShapeParentId(shape.parentId, shape.container, firstPageId, containerShapeIds) === parentId)
+    .map(({ id, index, file }) => ({ id, index, file }));
+
+  // Canvas-links to child rooms are shapes of this room too
+  for (const entry of fs.readdirSync(roomPath, { withFileTypes: true })) {
+    if (entry.isDirectory() && entry.name.startsWith('room-')) {
+      const linkInfoPath = path.join(roomPath, entry.name, 'canvas-link-info.json');
+      const linkInfo = fs.existsSync(linkInfoPath) ? readJson(linkInfoPath) : null;
+      if (linkInfo && (linkInfo.parentId || 'page:page') === parentId) {
+        shapes.push({ id: linkInfo.linkShapeId || `shape:link-to-${entry.name}`, index: linkInfo.index, file: linkInfoPath });
+      }
+    }
+  }
+
+  return shapes
+    .filter(shape => isValidIndex(shape.index))
+    .sort((a, b) => compareIndexes(a.index, b.index));
+}
+
+function getFirstPageId(roomPath) {
+  const metadata = readJson(path.join(roomPath, 'canvas-metadata.json'));
+  return metadata?.pages?.[0]?.id || 'page:page';
+}
+
+function getContainerShapeIds(shapes) {
+  return new Set(shapes.filter(shape => containerShapeTypes.includes(shape.type)).map(shape => shape.id));
+}
+
+/**
+ * Get the parentId a widget directory will be generated with
+ * @param {string} widgetPath - The path to the widget directory
+ * @param {object} properties - The widget's properties.json
+ * @returns {string} The page or shape id
+ */
+function getWidgetParentId(widgetPath, properties) {
+  const roomPath = getRoomPath(widgetPath);
+  const widgetDir = path.resolve(widgetPath);
+  const containers = findShapeContainers(roomPath);
+  const container = containers.find(candidate => candidate.dir === path.dirname(widgetDir)) || { pageId: null, parentShapeId: null };
+
+  const generalShapes = [];
+  for (const { dir } of containers) {
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      if (entry.isFile() && entry.name.startsWith('general-shape-') && entry.name.endsWith('.json')) {
+        const shape = readJson(path.join(dir, entry.name));
+        if (shape) generalShapes.push(shape);
+      }
+    }
+  }
+
+  return resolveShapeParentId(properties.parentId, container, getFirstPageId(roomPath), getContainerShapeIds(generalShapes));
+}
+
+/**
+ * Get an index above every sibling shape, for placing a new shape in front
+ * @param {string} roomPath - The room directory
+ * @param {string} parentId - The page or shape id the new shape belongs to
+ * @returns {string} The new index
+ */
+function getFrontIndex(roomPath, parentId) {
+  const siblings = findSiblingShapes(roomPath, parentId);
+  return generateKeyBetween(siblings.length > 0 ? siblings[siblings.length - 1].index : null, null);
+}
+
+/**
+ * Move a widget in the z-order of its page (or parent shape) by rewriting its index in properties.json
+ * @param {string} widgetPath - The path to the widget directory
+ * @param {string} position - 'front', 'back', 'above' or 'below'
+ * @param {string} [targetShapeId] - The shape to place the widget above or below
+ */
+function reorderWidget(widgetPath, position, targetShapeId) {
+  const positions = ['front', 'back', 'above', 'below'];
+  if (!widgetPath || !positions.includes(position) || (['above', 'below'].includes(position) && !targetShapeId)) {
+    console.error('Error: A widget path and a position are required');
+    console.log('Usage: node reorder-widget.js <widgetPath> <front|back|above|below> [targetShapeId]');
+    console.log('Arguments:');
+    console.log('  widgetPath    - The path to the widget directory');
+    console.log('  position      - front/back of its page, or above/below another shape');
+    console.log('  targetShapeId - The shape to place the widget above or below (e.g., shape:abc123)');
+    console.log('Example: node reorder-widget.js /path/to/room-12345/widget-64jTHevUBL9azUJZ above shape:Y59wm6acnQvwpBlp');
+    process.exit(1);
+  }
+
+  const propertiesPath = path.join(widgetPath, 'properties.json');
+  const properties = readJson(propertiesPath);
+  if (!properties) {
+    console.error(`Error: Could not read widget properties: ${propertiesPath}`);
+    process.exit(1);
+  }
+
+  const roomPath = getRoomPath(widgetPath);
+  const parentId = getWidgetParentId(widgetPath, properties);
+
+  const siblings = findSiblingShapes(roomPath, parentId).filter(shape => shape.id !== properties.shapeId);
+  let lower = null;
+  let upper = null;
+
+  if (position === 'front') {
+    lower = siblings.length > 0 ? siblings[siblings.length - 1].index : null;
+  } else if (position === 'back') {
+    upper = siblings.length > 0 ? siblings[0].index : null;
+  } else {
+    const target = siblings.find(shape => shape.id === targetShapeId);
+    if (!target) {
+      console.error(`Error: ${targetShapeId} is not a shape next to this widget (parent ${parentId})`);
+      process.exit(1);
+    }
+
+    // Siblings may share an index, so look for the nearest strictly higher / lower one
+    if (position === 'above') {
+      lower = target.index;
+      upper = siblings.find(shape => compareIndexes(shape.index, target.index) > 0)?.index || null;
+    } else {
+      upper = target.index;
+      lower = [...siblings].reverse().find(shape => compareIndexes(shape.index, target.index) < 0)?.index || null;
+    }
+  }
+
+  const previousIndex = properties.index;
+  properties.index = generateKeyBetween(lower, upper);
+  fs.writeFileSync(propertiesPath, JSON.stringify(properties, null, 2));
+
+  console.log(`✅ Moved ${path.basename(widgetPath)} ${position}${targetShapeId ? ` ${targetShapeId}` : ''}`);
+  console.log(`🔢 Index: ${previousIndex} → ${properties.index}`);
+}
+
+module.exports = { findSiblingShapes, getFrontIndex, reorderWidget };
+
+// Parse command line arguments and run when called directly
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  reorderWidget(args[0], args[1], args[2]);
+}
@@ -0,0 +1,101 @@
+/**
+ * Room directory layout shared by the canvas scripts
+ *
+ * A room directory holds the shapes of its first page. Shapes on other pages live in page-{pageId}/,
+ * and the children of frames and groups live in frame-{shapeId}/ or group-{shapeId}/ next to the
+ * frame's or group's general-shape-*.json file, nested as deep as the frames are:
+ *
+ *   room-abc/
+ *     widget-w1/
+ *     general-shape-frame-f1.json
+ *     frame-f1/
+ *       widget-w2/              (parentId shape:f1)
+ *     page-second/
+ *       general-shape-geo-g1.json
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Shape types whose children are laid out in a nested directory
+const containerShapeTypes = ['frame', 'group'];
+const containerDirectoryPattern = new RegExp(`^(${containerShapeTypes.join('|')})-(.+)$`);
+
+/**
+ * Get the directory name holding the children of a frame or group shape
+ */
+function getContainerDirectoryName(shapeType, shapeId) {
+  return `${shapeType}-${shapeId.replace('shape:', '')}`;
+}
+
+/**
+ * Find every directory of a room that holds shapes, outermost first.
+ * Returns [{ dir, pageId, parentShapeId }]: pageId is null for the room directory itself (the first page),
+ * parentShapeId is the frame or group the directory belongs to, or null at page level.
+ */
+function findShapeContainers(roomDir) {
+  const containers = [];
+
+  const collectNested = (dir, pageId, parentShapeId) => {
+    containers.push({ dir, pageId, parentShapeId });
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      const match = entry.isDirectory() && entry.name.match(containerDirectoryPattern);
+      if (match) {
+        collectNested(path.join(dir, entry.name), pageId, `shape:${match[2]}`);
+      }
+    }
+  };
+
+  collectNested(roomDir, null, null);
+  for (const entry of fs.readdirSync(roomDir, { withFileTypes: true })) {
+    if (entry.isDirectory() && entry.name.startsWith('page-')) {
+      collectNested(path.join(roomDir, entry.name), `page:${entry.name.slice('page-'.length)}`, null);
+    }
+  }
+
+  return containers;
+}
+
+/**
+ * Get the room directory of a directory holding shapes, walking up out of page-* / frame-* / group-* directories
+ */
+function getRoomDirectory(shapeContainerDir) {
+  let dir = shapeContainerDir;
+  while (containerDirectoryPattern.test(path.basename(dir)) || path.basename(dir).startsWith('page-')) {
+    dir = path.dirname(dir);
+  }
+  return dir;
+}
+
+/**
+ * Work out a shape's parentId from the directory it was found in, so moving files moves shapes:
+ * - inside a frame-* / group-* directory the shape belongs to that frame or group
+ * - at page level, a parentId pointing at a frame or group means the shape was moved out of it
+ * - in a page-* directory, shapes belong to that page unless they are attached to another shape
+ * - in the room directory, the shape's own parentId is kept (falling back to the first page)
+ * @param {string} parentId - The parentId recorded in the shape's file
+ * @param {{pageId: string|null, parentShapeId: string|null}} container - Where the shape was found
+ * @param {string} firstPageId - The id of the room's first page
+ * @param {Set<string>} containerShapeIds - Ids of the room's frame and group shapes
+ */
+function resolveShapeParentId(parentId, container, firstPageId, containerShapeIds) {
+  if (container.parentShapeId) {
+    return container.parentShapeId;
+  }
+  if (parentId && containerShapeIds.has(parentId)) {
+    return container.pageId || firstPageId;
+  }
+  if (container.pageId && (!parentId || parentId.startsWith('page:'))) {
+    return container.pageId;
+  }
+  return parentId || firstPageId;
+}
+
+module.exports = {
+  containerShapeTypes,
+  containerDirectoryPattern,
+  getContainerDirectoryName,
+  findShapeContainers,
+  getRoomDirectory,
+  resolveShapeParentId
+};
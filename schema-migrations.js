@@ -0,0 +1,493 @@
+/**
+ * tldraw schema handling for canvas-state.json snapshots
+ *
+ * currentSchema is the schema the scripts write and understand. Snapshots saved with an older schema are
+ * migrated up during unpack with ports of tldraw's own up-migrations, one sequence version at a time. Older
+ * sequences without records are simply brought to the current version. Sequences whose records need a step that
+ * cannot be ported (embed urls, Miyagi's canvas storage) are reported as unmigrated, and snapshots from a newer
+ * schema than currentSchema as newer, so unpack can refuse both rather than write records the scripts do not
+ * understand.
+ */
+
+const { generateKeysBetween } = require('./fractional-index.js');
+
+const currentSchema = {
+  schemaVersion: 2,
+  sequences: {
+    'com.tldraw.store': 5,
+    'com.tldraw.asset': 1,
+    'com.tldraw.camera': 1,
+    'com.tldraw.canvas_storage': 1,
+    'com.tldraw.document': 2,
+    'com.tldraw.instance': 25,
+    'com.tldraw.instance_page_state': 5,
+    'com.tldraw.page': 1,
+    'com.tldraw.instance_presence': 6,
+    'com.tldraw.pointer': 1,
+    'com.tldraw.shape': 4,
+    'com.tldraw.asset.bookmark': 2,
+    'com.tldraw.asset.image': 5,
+    'com.tldraw.asset.video': 5,
+    'com.tldraw.shape.arrow': 7,
+    'com.tldraw.shape.bookmark': 2,
+    'com.tldraw.shape.draw': 3,
+    'com.tldraw.shape.embed': 4,
+    'com.tldraw.shape.frame': 1,
+    'com.tldraw.shape.geo': 12,
+    'com.tldraw.shape.group': 0,
+    'com.tldraw.shape.highlight': 1,
+    'com.tldraw.shape.image': 5,
+    'com.tldraw.shape.line': 6,
+    'com.tldraw.shape.note': 9,
+    'com.tldraw.shape.text': 4,
+    'com.tldraw.shape.video': 4,
+    'com.tldraw.shape.miyagi-widget': 0,
+    'com.tldraw.shape.univer': 0,
+    'com.tldraw.shape.block': 0,
+    'com.tldraw.shape.canvas-link': 0,
+    'com.tldraw.shape.file': 0,
+    'com.tldraw.binding.arrow': 1
+  }
+};
+
+const addMeta = (record) => {
+  if (record.meta === undefined) record.meta = {};
+};
+
+// A migration of a shape's, asset's or binding's props
+const propsMigration = (up) => (record) => {
+  if (record.props) up(record.props);
+};
+
+const linkProtocols = ['http:', 'https:', 'mailto:'];
+const srcProtocols = ['http:', 'https:', 'data:', 'asset:'];
+
+// Whether a value passes tldraw's url validators: empty, or a url (absolute or starting with / or ./) of a safe protocol
+function isValidUrl(value, protocols) {
+  if (typeof value !== 'string') return false;
+  if (value === '') return true;
+  try {
+    return protocols.includes(new URL(value, /^\.?\//.test(value) ? 'http://example.com' : undefined).protocol.toLowerCase());
+  } catch (error) {
+    return false;
+  }
+}
+
+const makeLinkUrlValid = propsMigration((props) => {
+  if (!isValidUrl(props.url, linkProtocols)) props.url = '';
+});
+const makeSrcUrlValid = propsMigration((props) => {
+  if (!isValidUrl(props.src, srcProtocols)) props.src = '';
+});
+const removeJustify = propsMigration((props) => {
+  if (props.align === 'justify') props.align = 'start';
+});
+const migrateLegacyAlign = propsMigration((props) => {
+  props.align = { start: 'start-legacy', end: 'end-legacy' }[props.align] || 'middle-legacy';
+});
+const addRichText = propsMigration((props) => {
+  props.richText = toRichText(props.text);
+  delete props.text;
+});
+const renameWidthHeight = propsMigration((props) => {
+  props.w = props.width;
+  props.h = props.height;
+  delete props.width;
+  delete props.height;
+});
+const addProps = (defaults) => propsMigration((props) => Object.assign(props, defaults));
+const noop = () => {};
+
+// Plain text as a tldraw rich text document, one paragraph per line
+function toRichText(text) {
+  return {
+    type: 'doc',
+    content: String(text ?? '').split('\n').map(line => (line ? { type: 'paragraph', content: [{ type: 'text', text: line }] } : { type: 'paragraph' }))
+  };
+}
+
+// Half precision floats, which DataView only reads and writes from Node 24
+function float16BitsToNumber(bits) {
+  const sign = bits >> 15 ? -1 : 1;
+  const exponent = (bits >> 10) & 0x1f;
+  const fraction = bits & 0x3ff;
+  if (exponent === 0) return sign * fraction * Math.pow(2, -24);
+  if (exponent === 31) return fraction ? NaN : sign * Infinity;
+  return sign * Math.pow(2, exponent - 15) * (1 + fraction / 1024);
+}
+
+function numberToFloat16Bits(value) {
+  if (value === 0) return Object.is(value, -0) ? 0x8000 : 0;
+  if (Number.isNaN(value)) return 0x7e00;
+  const sign = value < 0 ? 0x8000 : 0;
+  value = Math.abs(value);
+  if (value === Infinity) return sign | 0x7c00;
+
+  const exponent = Math.floor(Math.log2(value));
+  let biasedExponent = exponent + 15;
+  if (biasedExponent >= 31) return sign | 0x7c00;
+  if (biasedExponent <= 0) return sign | (Math.round(value * Math.pow(2, 24)) & 0x3ff);
+
+  let fraction = Math.round((value / Math.pow(2, exponent) - 1) * 1024);
+  if (fraction >= 1024) {
+    fraction = 0;
+    biasedExponent++;
+    if (biasedExponent >= 31) return sign | 0x7c00;
+  }
+  return sign | (biasedExponent << 10) | fraction;
+}
+
+/**
+ * Encode draw points the way tldraw stores them in a segment's path: the first point as three little-endian
+ * float32s, every other one as float16 deltas from the point before it, all in base64
+ */
+function encodePoints(points) {
+  if (points.length === 0) return '';
+  const buffer = Buffer.alloc(12 + (points.length - 1) * 6);
+  const [first] = points;
+  buffer.writeFloatLE(first.x, 0);
+  buffer.writeFloatLE(first.y, 4);
+  buffer.writeFloatLE(first.z ?? 0.5, 8);
+
+  let previous = { x: first.x, y: first.y, z: first.z ?? 0.5 };
+  points.slice(1).forEach((point, i) => {
+    const current = { x: point.x, y: point.y, z: point.z ?? 0.5 };
+    const offset = 12 + i * 6;
+    buffer.writeUInt16LE(numberToFloat16Bits(current.x - previous.x), offset);
+    buffer.writeUInt16LE(numberToFloat16Bits(current.y - previous.y), offset + 2);
+    buffer.writeUInt16LE(numberToFloat16Bits(current.z - previous.z), offset + 4);
+    previous = current;
+  });
+  return buffer.toString('base64');
+}
+
+// Points some tldraw versions kept as base64 strings of absolute float16 x, y, z triples
+function decodeLegacyPoints(base64) {
+  const buffer = Buffer.from(base64, 'base64');
+  const points = [];
+  for (let offset = 0; offset + 6 <= buffer.length; offset += 6) {
+    points.push({
+      x: float16BitsToNumber(buffer.readUInt16LE(offset)),
+      y: float16BitsToNumber(buffer.readUInt16LE(offset + 2)),
+      z: float16BitsToNumber(buffer.readUInt16LE(offset + 4))
+    });
+  }
+  return points;
+}
+
+// Index keys no longer end in 0 (except a0); tldraw replaces the 0 with random digits
+function fixIndexKey(index) {
+  if (typeof index !== 'string' || !index.endsWith('0') || index === 'a0') return index;
+  const digits = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+  const randomDigits = Array.from({ length: 3 }, () => digits[Math.floor(Math.random() * digits.length)]).join('');
+  return index.slice(0, -1) + randomDigits;
+}
+
+// Move the bindings arrows used to keep in their start/end terminals into binding records
+function extractArrowBindings(documents, sequences) {
+  for (const doc of [...documents]) {
+    if (doc.state?.typeName !== 'shape' || doc.state.type !== 'arrow' || !doc.state.props) continue;
+    const arrow = doc.state;
+    for (const terminal of ['start', 'end']) {
+      const terminalProps = arrow.props[terminal];
+      if (!terminalProps) continue;
+      if (terminalProps.type !== 'binding') {
+        delete terminalProps.type;
+        continue;
+      }
+      const binding = {
+        typeName: 'binding',
+        id: `binding:${arrow.id.replace('shape:', '')}-${terminal}`,
+        type: 'arrow',
+        fromId: arrow.id,
+        toId: terminalProps.boundShapeId,
+        meta: {},
+        props: {
+          terminal,
+          normalizedAnchor: terminalProps.normalizedAnchor,
+          isExact: terminalProps.isExact,
+          isPrecise: terminalProps.isPrecise
+        }
+      };
+      documents.push({ state: binding, lastChangedClock: doc.lastChangedClock });
+      arrow.props[terminal] = { x: 0, y: 0 };
+    }
+  }
+  // The new bindings still need the arrow binding migrations when the snapshot predates them
+  if (sequences['com.tldraw.binding.arrow'] === undefined) sequences['com.tldraw.binding.arrow'] = 0;
+}
+
+/**
+ * Up-migrations by sequence, keyed by the version they migrate to, as in tldraw's tlschema. Most update a copy of
+ * one record in place; storage migrations ({ storage }) update the list of documents of the whole snapshot.
+ */
+const migrations = {
+  'com.tldraw.store': {
+    1: { // RemoveCodeAndIconShapeTypes
+      storage: (documents) => removeDocuments(documents, state => state.typeName === 'shape' && ['icon', 'code'].includes(state.type))
+    },
+    2: { storage: noop }, // AddInstancePresenceType
+    3: { // RemoveTLUserAndPresenceAndAddPointer
+      storage: (documents) => removeDocuments(documents, state => ['user', 'user_presence'].includes(state.typeName))
+    },
+    4: { // RemoveUserDocument
+      storage: (documents) => removeDocuments(documents, state => state.typeName === 'user_document')
+    },
+    5: (record) => { // FixIndexKeys
+      if (!['shape', 'page'].includes(record.typeName) || record.index === undefined) return;
+      record.index = fixIndexKey(record.index);
+      if (record.typeName === 'shape' && record.type === 'line') {
+        for (const point of Object.values(record.props?.points || {})) point.index = fixIndexKey(point.index);
+      }
+    }
+  },
+  'com.tldraw.shape': {
+    1: (record) => { // AddIsLocked
+      if (record.isLocked === undefined) record.isLocked = false;
+    },
+    2: (record) => { // HoistOpacity: props.opacity ('0.1' - '1') became the numeric record.opacity
+      const { opacity, ...props } = record.props || {};
+      record.opacity = Number(opacity ?? '1');
+      record.props = props;
+    },
+    3: addMeta,
+    4: noop // AddWhite: only adds a color value
+  },
+  'com.tldraw.document': {
+    1: (record) => { // AddName
+      if (record.name === undefined) record.name = '';
+    },
+    2: addMeta
+  },
+  'com.tldraw.page': { 1: addMeta },
+  'com.tldraw.asset': { 1: addMeta },
+  'com.tldraw.camera': { 1: addMeta },
+  'com.tldraw.asset.bookmark': {
+    1: makeSrcUrlValid,
+    2: propsMigration((props) => { // AddFavicon
+      if (!isValidUrl(props.favicon, srcProtocols)) props.favicon = '';
+    })
+  },
+  ...Object.fromEntries(['com.tldraw.asset.image', 'com.tldraw.asset.video'].map(sequenceId => [sequenceId, {
+    1: addProps({ isAnimated: false }),
+    2: renameWidthHeight,
+    3: makeSrcUrlValid,
+    4: addProps({ fileSize: -1 }),
+    5: propsMigration((props) => { // MakeFileSizeOptional
+      if (props.fileSize === -1) delete props.fileSize;
+    })
+  }])),
+  'com.tldraw.shape.arrow': {
+    1: addProps({ labelColor: 'black' }),
+    2: propsMigration((props) => { // AddIsPrecise
+      for (const terminal of [props.start, props.end]) {
+        if (terminal?.type === 'binding') {
+          terminal.isPrecise = !(terminal.normalizedAnchor.x === 0.5 && terminal.normalizedAnchor.y === 0.5);
+        }
+      }
+    }),
+    3: addProps({ labelPosition: 0.5 }),
+    4: { storage: extractArrowBindings },
+    5: addProps({ scale: 1 }),
+    6: addProps({ kind: 'arc', elbowMidPoint: 0.5 }),
+    7: addRichText
+  },
+  'com.tldraw.shape.bookmark': {
+    1: propsMigration((props) => { // NullAssetId
+      if (props.assetId === undefined) props.assetId = null;
+    }),
+    2: makeLinkUrlValid
+  },
+  'com.tldraw.shape.draw': {
+    1: propsMigration((props) => { // AddInPen: pen input has pressure, mouse points a z of 0 or 0.5
+      const points = props.segments?.[0]?.points || [];
+      const hasPressure = (point) => !(point.z === 0 || point.z === 0.5);
+      props.isPen = points.length > 0 && hasPressure(points[0]) && (!points[1] || hasPressure(points[1]));
+    }),
+    2: addProps({ scale: 1 }),
+    3: propsMigration((props) => { // Base64: points became the encoded path
+      props.segments = (props.segments || []).map(segment => {
+        if (segment.path !== undefined) return segment;
+        const { points, ...rest } = segment;
+        return { ...rest, path: encodePoints(Array.isArray(points) ? points : decodeLegacyPoints(points)) };
+      });
+      props.scaleX = props.scaleX ?? 1;
+      props.scaleY = props.scaleY ?? 1;
+    })
+  },
+  // 1 (GenOriginalUrlInEmbed) needs tldraw's embed definitions to recover the original url, so it is not migrated
+  'com.tldraw.shape.embed': {
+    2: propsMigration((props) => delete props.doesResize),
+    3: propsMigration((props) => delete props.tmpOldUrl),
+    4: propsMigration((props) => delete props.overridePermissions)
+  },
+  'com.tldraw.shape.frame': { 1: addProps({ color: 'black' }) },
+  'com.tldraw.shape.geo': {
+    1: addProps({ url: '' }),
+    2: addProps({ labelColor: 'black' }),
+    3: removeJustify,
+    4: noop, // AddCheckBox: only adds a geo value
+    5: addProps({ verticalAlign: 'middle' }),
+    6: migrateLegacyAlign,
+    7: noop, // AddCloud: only adds a geo value
+    8: makeLinkUrlValid,
+    9: addProps({ scale: 1 }),
+    10: addRichText,
+    11: noop, // AddRichTextAttrs: attrs are optional
+    12: addProps({ flipX: false, flipY: false })
+  },
+  'com.tldraw.shape.highlight': { 1: addProps({ scale: 1 }) },
+  'com.tldraw.shape.image': {
+    1: addProps({ url: '' }),
+    2: addProps({ crop: null }),
+    3: makeLinkUrlValid,
+    4: addProps({ flipX: false, flipY: false }),
+    5: addProps({ altText: '' })
+  },
+  'com.tldraw.shape.line': {
+    1: propsMigration((props) => { // AddSnapHandles
+      for (const handle of Object.values(props.handles || {})) handle.canSnap = true;
+    }),
+    2: propsMigration((props) => { // RemoveExtraHandleProps
+      props.handles = Object.fromEntries(Object.values(props.handles || {}).map(handle => [handle.index, { x: handle.x, y: handle.y }]));
+    }),
+    3: propsMigration((props) => { // HandlesToPoints
+      props.points = Object.entries(props.handles || {})
+        .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+        .map(([, { x, y }]) => ({ x, y }));
+      delete props.handles;
+    }),
+    4: propsMigration((props) => { // PointIndexIds
+      const indices = ['a1', ...generateKeysBetween('a1', null, props.points.length)];
+      props.points = Object.fromEntries(props.points.map((point, i) => [indices[i], { id: indices[i], index: indices[i], x: point.x, y: point.y }]));
+    }),
+    5: addProps({ scale: 1 })
+  },
+  'com.tldraw.shape.note': {
+    1: addProps({ url: '' }),
+    2: removeJustify,
+    3: migrateLegacyAlign,
+    4: addProps({ verticalAlign: 'middle' }),
+    5: makeLinkUrlValid,
+    6: addProps({ fontSizeAdjustment: 0 }),
+    7: addProps({ scale: 1 }),
+    8: addProps({ labelColor: 'black' }),
+    9: addRichText
+  },
+  'com.tldraw.shape.text': {
+    1: removeJustify,
+    2: propsMigration((props) => { // AddTextAlign
+      props.textAlign = props.align;
+      delete props.align;
+    }),
+    3: addRichText,
+    4: noop // AddRichTextAttrs: attrs are optional
+  },
+  'com.tldraw.shape.video': {
+    1: addProps({ url: '' }),
+    2: makeLinkUrlValid,
+    3: addProps({ altText: '' }),
+    4: addProps({ autoplay: true })
+  },
+  'com.tldraw.binding.arrow': {
+    1: addProps({ snap: 'none' }) // AddSnap
+  }
+};
+
+function removeDocuments(documents, predicate) {
+  for (let i = documents.length - 1; i >= 0; i--) {
+    if (documents[i].state && predicate(documents[i].state)) documents.splice(i, 1);
+  }
+}
+
+// The sequences a record belongs to, e.g. com.tldraw.shape and com.tldraw.shape.geo
+function getRecordSequences(state) {
+  const sequences = [`com.tldraw.${state.typeName}`];
+  if (['shape', 'binding', 'asset'].includes(state.typeName) && state.type) {
+    sequences.push(`com.tldraw.${state.typeName}.${state.type}`);
+  }
+  return sequences;
+}
+
+// The steps from one version to another that have no migration
+function findMissingSteps(sequenceId, fromVersion, toVersion) {
+  const missing = [];
+  for (let version = fromVersion + 1; version <= toVersion; version++) {
+    if (!migrations[sequenceId]?.[version]) missing.push(version);
+  }
+  return missing;
+}
+
+/**
+ * Compare a snapshot's schema with currentSchema
+ * @returns {{newer: string[], older: string[]}} Sequences the snapshot has at a newer / older version
+ */
+function compareSchema(schema) {
+  const newer = [];
+  const older = [];
+  if ((schema?.schemaVersion ?? 0) > currentSchema.schemaVersion) {
+    newer.push(`schemaVersion ${schema.schemaVersion} (supported: ${currentSchema.schemaVersion})`);
+  }
+  for (const [sequenceId, version] of Object.entries(schema?.sequences || {})) {
+    const currentVersion = currentSchema.sequences[sequenceId];
+    if (currentVersion === undefined) continue; // Custom shapes the scripts keep as they are
+    if (version > currentVersion) newer.push(`${sequenceId} ${version} (supported: ${currentVersion})`);
+    if (version < currentVersion) older.push(sequenceId);
+  }
+  return { newer, older };
+}
+
+/**
+ * Migrate the records of an older snapshot up to currentSchema where migrations exist
+ *
+ * Sequences are migrated in currentSchema order, so records go through com.tldraw.shape before their shape type's
+ * sequence, and arrows get their bindings extracted before the binding migrations run.
+ * @param {object} snapshot - A parsed canvas-state.json
+ * @returns {{snapshot: object, migrated: string[], unmigrated: string[]}} A migrated copy of the snapshot, the
+ *   sequences that were migrated and the older sequences that were left at their version because their records
+ *   need steps without a migration (e.g. 'com.tldraw.shape.embed 0 (no migration to 1)')
+ */
+function migrateSnapshot(snapshot) {
+  const sequences = { ...(snapshot.schema?.sequences || {}) };
+  const migrated = [];
+  const unmigrated = [];
+  const documents = (snapshot.documents || []).map(doc => (doc.state ? { ...doc, state: JSON.parse(JSON.stringify(doc.state)) } : doc));
+
+  for (const [sequenceId, currentVersion] of Object.entries(currentSchema.sequences)) {
+    const version = sequences[sequenceId];
+    if (version === undefined || version >= currentVersion) continue;
+
+    const records = documents.filter(doc => doc.state && getRecordSequences(doc.state).includes(sequenceId)).map(doc => doc.state);
+    const missingSteps = findMissingSteps(sequenceId, version, currentVersion);
+    if (missingSteps.length > 0 && records.length > 0) {
+      unmigrated.push(`${sequenceId} ${version} (no migration to ${missingSteps.join(', ')})`);
+      continue;
+    }
+
+    if (missingSteps.length === 0) {
+      for (let step = version + 1; step <= currentVersion; step++) {
+        const migration = migrations[sequenceId][step];
+        if (migration.storage) {
+          migration.storage(documents, sequences);
+        } else {
+          const stepRecords = sequenceId === 'com.tldraw.store' ? documents.filter(doc => doc.state).map(doc => doc.state) : records;
+          stepRecords.forEach(migration);
+        }
+      }
+    }
+    sequences[sequenceId] = currentVersion;
+    migrated.push(sequenceId);
+  }
+
+  if (migrated.length === 0) {
+    return { snapshot, migrated, unmigrated };
+  }
+
+  return {
+    snapshot: { ...snapshot, schema: { ...snapshot.schema, sequences }, documents },
+    migrated,
+    unmigrated
+  };
+}
+
+module.exports = { currentSchema, compareSchema, migrateSnapshot };
@@ -13,7 +13,7 @@ const preCommitHook = `#!/bin/sh
 echo "🔨 Running Miyagi pre-commit hook..."
 
 # Ensure scripts are set up
-if [ ! -d ".miyagi" ]; then
+if [ ! -f ".miyagi/compile.js" ]; then
   echo "📥 Setting up Miyagi scripts..."
   node download-and-run.js compile.js >/dev/null 2>&1 || echo "⚠️ Script setup may be incomplete"
 fi
@@ -21,7 +21,7 @@ fi
 # Run compile.js to convert JSX to HTML
 node .miyagi/compile.js
 if [ $? -ne 0 ]; then
-  echo "❌ JSX compilation failed"
+  echo "❌ JSX compilation failed (see the widget errors above)"
   exit 1
 fi
 
@@ -53,6 +53,31 @@ fi
 echo "✅ Post-merge hook completed successfully"
 exit 0`;
 
+// Files merged by merge-canvas-state.js instead of git's line-based merge
+const mergeDriverName = 'miyagi-canvas-state';
+const mergeDriverPatterns = ['canvas-state.json', 'storage.json', 'global-storage.json'];
+
+/**
+ * Register the canvas-state merge driver in the local git config and .gitattributes
+ */
+function setupMergeDriver() {
+  execSync(`git config merge.${mergeDriverName}.name "Miyagi canvas state merge"`);
+  execSync(`git config merge.${mergeDriverName}.driver "node .miyagi/merge-canvas-state.js %O %A %B %P"`);
+
+  const attributesPath = '.gitattributes';
+  const existing = fs.existsSync(attributesPath) ? fs.readFileSync(attributesPath, 'utf8') : '';
+  const existingLines = new Set(existing.split('\n').map(line => line.trim()));
+  const missingLines = mergeDriverPatterns
+    .map(pattern => `${pattern} merge=${mergeDriverName}`)
+    .filter(line => !existingLines.has(line));
+
+  if (missingLines.length > 0) {
+    const separator = existing === '' || existing.endsWith('\n') ? '' : '\n';
+    fs.writeFileSync(attributesPath, `${existing}${separator}${missingLines.join('\n')}\n`);
+    console.log('✅ Registered the canvas-state merge driver in .gitattributes');
+  }
+}
+
 async function setupHooks() {
   try {
     // Ensure .git/hooks directory exists
@@ -66,9 +91,14 @@ async function setupHooks() {
     if (fs.existsSync('download-and-run.js')) {
       console.log('📥 Setting up Miyagi scripts...');
       
-      // Remove existing .miyagi to force fresh setup
+      // Remove existing .miyagi to force fresh setup, keeping the trash of removed widgets and rooms and the
+      // synced widget file hashes unpack detects local edits with
       if (fs.existsSync('.miyagi')) {
-        fs.rmSync('.miyagi', { recursive: true, force: true });
+        for (const entry of fs.readdirSync('.miyagi')) {
+          if (entry !== 'trash' && entry !== 'synced-files.json') {
+            fs.rmSync(path.join('.miyagi', entry), { recursive: true, force: true });
+          }
+        }
       }
       
       // Run setup
@@ -98,11 +128,15 @@ async function setupHooks() {
     fs.chmodSync(postMergePath, '755');
     console.log('✅ Created post-merge hook');
 
+    setupMergeDriver();
+    console.log('✅ Configured merge driver');
+
     console.log('🎉 Git hooks setup completed successfully!');
     console.log('');
     console.log('Hooks installed:');
     console.log('  • pre-commit: Compiles JSX and generates canvas-state.json');
     console.log('  • post-merge: Unpacks canvas-state.json into widget directories');
+    console.log('  • merge driver: Merges canvas-state.json and storage files record by record');
     console.log('');
     console.log('Your repository is now ready for automated canvas synchronization!');
 
@@ -0,0 +1,54 @@
+/**
+ * Content hashes of widget files as they were last synced with canvas-state.json
+ *
+ * unpack-canvas-state.js records every widget file it writes (or finds up to date), generate-canvas.js every widget
+ * file it generates a canvas-state.json from. They are kept in .miyagi/synced-files.json, keyed by path relative
+ * to the repository root. A file that no longer matches its hash was edited locally since, which is how unpack
+ * tells local edits apart from files that are only behind an incoming canvas-state.json.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+function getSyncedFilesPath(rootDir) {
+  return path.join(rootDir, '.miyagi', 'synced-files.json');
+}
+
+function hashContent(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+// Key of a file in the hash map, stable across platforms
+function getSyncedFileKey(rootDir, filePath) {
+  return path.relative(rootDir, filePath).split(path.sep).join('/');
+}
+
+/**
+ * Load the recorded hashes, { relativePath: hash }
+ */
+function loadSyncedFileHashes(rootDir) {
+  try {
+    return JSON.parse(fs.readFileSync(getSyncedFilesPath(rootDir), 'utf8'));
+  } catch (error) {
+    return {};
+  }
+}
+
+/**
+ * Save the recorded hashes, dropping files that no longer exist
+ * @param {object} [options]
+ * @param {Set<string>} [options.keep] - Keys to keep although their file is missing (files kept deleted locally)
+ */
+function saveSyncedFileHashes(rootDir, hashes, { keep = new Set() } = {}) {
+  const existing = Object.keys(hashes)
+    .filter(key => keep.has(key) || fs.existsSync(path.join(rootDir, key)))
+    .sort()
+    .map(key => [key, hashes[key]]);
+
+  const syncedFilesPath = getSyncedFilesPath(rootDir);
+  fs.mkdirSync(path.dirname(syncedFilesPath), { recursive: true });
+  fs.writeFileSync(syncedFilesPath, JSON.stringify(Object.fromEntries(existing), null, 2), 'utf8');
+}
+
+module.exports = { hashContent, getSyncedFileKey, loadSyncedFileHashes, saveSyncedFileHashes };
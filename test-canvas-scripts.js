@@ -0,0 +1,586 @@
+#!/usr/bin/env node
+
+/**
+ * Canvas Scripts Tests
+ *
+ * Runs the scripts against throwaway canvas repositories created in the system temp directory
+ * Usage: node --test test-canvas-scripts.js (or npm test)
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync, spawnSync } = require('child_process');
+const { currentSchema, migrateSnapshot } = require('./schema-migrations.js');
+const { mergeCanvasFile } = require('./merge-canvas-state.js');
+const { generateKeyBetween, generateKeysBetween, isValidIndex, compareIndexes } = require('./fractional-index.js');
+const { widgetPropertiesSchema, recordToProperties, propertiesToRecord } = require('./properties-schema.js');
+const { validateRoomSnapshot } = require('./validate-canvas.js');
+const { createBatchId, moveToTrash } = require('./trash.js');
+
+function createTempDirectory(t) {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'miyagi-test-'));
+  t.after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+  return tempDir;
+}
+
+function git(repoDir, ...args) {
+  return execFileSync('git', ['-c', 'user.name=test', '-c', 'user.email=test@example.com', ...args], { cwd: repoDir, encoding: 'utf8' });
+}
+
+/**
+ * Run one of the scripts in a repository, returning { status, output }. Babel presets and plugins are
+ * resolved through NODE_PATH, as in the image the scripts are deployed in.
+ */
+function runScript(repoDir, scriptName, ...args) {
+  const env = { ...process.env, NODE_PATH: path.join(__dirname, 'node_modules') };
+  const result = spawnSync(process.execPath, [path.join(__dirname, scriptName), ...args], { cwd: repoDir, encoding: 'utf8', env });
+  return { status: result.status, output: `${result.stdout}${result.stderr}` };
+}
+
+function createWidgetRecord(id, { x = 0, index = 'a1' } = {}) {
+  return {
+    id: `shape:${id}`,
+    typeName: 'shape',
+    type: 'miyagi-widget',
+    parentId: 'page:page',
+    index,
+    x,
+    y: 0,
+    rotation: 0,
+    isLocked: false,
+    opacity: 1,
+    meta: {},
+    props: {
+      w: 300,
+      h: 200,
+      widgetId: `test_${id}`,
+      templateHandle: 'test',
+      htmlContent: `<div>${id}</div>\n`,
+      jsxContent: `export default function Widget() { return <div>${id}</div>; }\n`,
+      color: 'black',
+      zoomScale: 1
+    }
+  };
+}
+
+function createSnapshot(shapes, clock = 1) {
+  return {
+    clock,
+    documentClock: clock,
+    tombstones: {},
+    tombstoneHistoryStartsAtClock: 1,
+    schema: currentSchema,
+    documents: [
+      { state: { gridSize: 10, name: '', meta: { roomId: 'room-root', canvasMode: 'freeform', canvasName: 'Test' }, id: 'document:document', typeName: 'document' }, lastChangedClock: 1 },
+      { state: { meta: {}, id: 'page:page', name: 'Page 1', index: 'a1', typeName: 'page' }, lastChangedClock: 1 },
+      { state: { widgets: {}, global: {}, id: 'canvas_storage:main', typeName: 'canvas_storage' }, lastChangedClock: 1 },
+      ...shapes.map(state => ({ state, lastChangedClock: clock }))
+    ]
+  };
+}
+
+function writeSnapshot(repoDir, snapshot) {
+  fs.writeFileSync(path.join(repoDir, 'room-root', 'canvas-state.json'), JSON.stringify(snapshot, null, 2));
+}
+
+// Change the room's canvas-state.json the way a pull from a collaborator would
+function updateSnapshot(repoDir, update) {
+  const snapshotPath = path.join(repoDir, 'room-root', 'canvas-state.json');
+  const snapshot = JSON.parse(fs.readFileSync(snapshotPath, 'utf8'));
+  update(snapshot, (id) => snapshot.documents.find(doc => doc.state.id === id).state);
+  snapshot.clock++;
+  fs.writeFileSync(snapshotPath, JSON.stringify(snapshot, null, 2));
+}
+
+function readWidgetProperties(repoDir, id) {
+  return JSON.parse(fs.readFileSync(path.join(repoDir, 'room-root', `widget-${id}`, 'properties.json'), 'utf8'));
+}
+
+/**
+ * Create a git repository with one room, unpacked and committed
+ */
+function createCanvasRepository(t, snapshot) {
+  const repoDir = createTempDirectory(t);
+
+  fs.mkdirSync(path.join(repoDir, 'room-root'));
+  fs.writeFileSync(path.join(repoDir, '.gitignore'), '.miyagi/\n');
+  writeSnapshot(repoDir, snapshot);
+  git(repoDir, 'init', '-q');
+
+  const { status, output } = runScript(repoDir, 'unpack-canvas-state.js');
+  assert.equal(status, 0, output);
+  git(repoDir, 'add', '-A');
+  git(repoDir, 'commit', '-q', '-m', 'Unpacked canvas');
+  return repoDir;
+}
+
+test('dry run lists the files of a newly added widget as created', (t) => {
+  const repoDir = createCanvasRepository(t, createSnapshot([createWidgetRecord('w1')]));
+  writeSnapshot(repoDir, createSnapshot([createWidgetRecord('w1'), createWidgetRecord('w2', { index: 'a2' })], 2));
+
+  const { status, output } = runScript(repoDir, 'unpack-canvas-state.js', '--dry-run');
+
+  assert.equal(status, 0, output);
+  const createdFiles = output.split('✏️  Would overwrite')[0].split('➕ Would create')[1];
+  assert.match(createdFiles, /room-root\/widget-w2\/properties\.json/);
+  assert.match(createdFiles, /room-root\/widget-w2\/template\.jsx/);
+  assert.equal(fs.existsSync(path.join(repoDir, 'room-root', 'widget-w2')), false);
+});
+
+test('previously unpacked, untouched files receive remote updates', (t) => {
+  const repoDir = createCanvasRepository(t, createSnapshot([createWidgetRecord('w1')]));
+
+  // w2 is unpacked but not committed, w1's properties.json is rewritten but not committed
+  updateSnapshot(repoDir, (snapshot) => snapshot.documents.push({ state: createWidgetRecord('w2', { index: 'a2' }), lastChangedClock: 2 }));
+  assert.equal(runScript(repoDir, 'unpack-canvas-state.js').status, 0);
+  updateSnapshot(repoDir, (snapshot, getRecord) => { getRecord('shape:w1').x = 10; });
+  assert.equal(runScript(repoDir, 'unpack-canvas-state.js').status, 0);
+
+  updateSnapshot(repoDir, (snapshot, getRecord) => {
+    getRecord('shape:w1').x = 999;
+    getRecord('shape:w2').x = 500;
+  });
+  const { status, output } = runScript(repoDir, 'unpack-canvas-state.js');
+
+  assert.equal(status, 0, output);
+  assert.doesNotMatch(output, /local edits/);
+  assert.equal(readWidgetProperties(repoDir, 'w1').position.x, 999);
+  assert.equal(readWidgetProperties(repoDir, 'w2').position.x, 500);
+  assert.equal(fs.existsSync(path.join(repoDir, '.miyagi', 'conflicts')), false);
+});
+
+test('local edits are kept when the remote changed the same file', (t) => {
+  const repoDir = createCanvasRepository(t, createSnapshot([createWidgetRecord('w1')]));
+  const templatePath = path.join(repoDir, 'room-root', 'widget-w1', 'template.jsx');
+  fs.appendFileSync(templatePath, '// local\n');
+
+  updateSnapshot(repoDir, (snapshot, getRecord) => {
+    getRecord('shape:w1').x = 999;
+    getRecord('shape:w1').props.jsxContent += '// remote\n';
+  });
+  const { status, output } = runScript(repoDir, 'unpack-canvas-state.js');
+
+  assert.equal(status, 0, output);
+  assert.match(fs.readFileSync(templatePath, 'utf8'), /\/\/ local\n$/);
+  assert.match(fs.readFileSync(path.join(repoDir, '.miyagi', 'conflicts', 'room-root', 'widget-w1', 'template.jsx'), 'utf8'), /\/\/ remote\n$/);
+  assert.equal(readWidgetProperties(repoDir, 'w1').position.x, 999);
+});
+
+test('new local modules are kept when the remote changed something else', (t) => {
+  const repoDir = createCanvasRepository(t, createSnapshot([createWidgetRecord('w1')]));
+  const modulePath = path.join(repoDir, 'room-root', 'widget-w1', 'Chart.jsx');
+  fs.writeFileSync(modulePath, 'export default function Chart() { return null; }\n');
+
+  updateSnapshot(repoDir, (snapshot, getRecord) => { getRecord('shape:w1').x = 999; });
+  const { status, output } = runScript(repoDir, 'unpack-canvas-state.js');
+
+  assert.equal(status, 0, output);
+  assert.match(fs.readFileSync(modulePath, 'utf8'), /function Chart/);
+  assert.match(output, /room-root\/widget-w1\/Chart\.jsx\n\s+incoming version: none, canvas-state\.json does not have this file/);
+  assert.equal(fs.existsSync(path.join(repoDir, '.miyagi', 'trash')), false);
+  assert.equal(readWidgetProperties(repoDir, 'w1').position.x, 999);
+});
+
+test('a template renamed to template.tsx stays renamed when the remote changed something else', (t) => {
+  const repoDir = createCanvasRepository(t, createSnapshot([createWidgetRecord('w1')]));
+  const widgetDir = path.join(repoDir, 'room-root', 'widget-w1');
+  fs.renameSync(path.join(widgetDir, 'template.jsx'), path.join(widgetDir, 'template.tsx'));
+
+  updateSnapshot(repoDir, (snapshot, getRecord) => { getRecord('shape:w1').x = 999; });
+  for (let run = 0; run < 2; run++) {
+    const { status, output } = runScript(repoDir, 'unpack-canvas-state.js');
+    assert.equal(status, 0, output);
+    assert.match(output, /room-root\/widget-w1\/template\.tsx\n/);
+  }
+
+  assert.equal(fs.existsSync(path.join(widgetDir, 'template.tsx')), true);
+  assert.equal(fs.existsSync(path.join(widgetDir, 'template.jsx')), false);
+  assert.equal(fs.existsSync(path.join(repoDir, '.miyagi', 'trash')), false);
+  assert.equal(readWidgetProperties(repoDir, 'w1').position.x, 999);
+
+  assert.equal(runScript(repoDir, 'generate-canvas.js').status, 0);
+  const snapshot = JSON.parse(fs.readFileSync(path.join(repoDir, 'room-root', 'canvas-state.json'), 'utf8'));
+  assert.equal(snapshot.documents.find(doc => doc.state.id === 'shape:w1').state.props.templateLanguage, 'tsx');
+});
+
+test('edits generated into canvas-state.json are not local edits anymore', (t) => {
+  const repoDir = createCanvasRepository(t, createSnapshot([createWidgetRecord('w1')]));
+  const templatePath = path.join(repoDir, 'room-root', 'widget-w1', 'template.jsx');
+  fs.appendFileSync(templatePath, '// local\n');
+  assert.equal(runScript(repoDir, 'generate-canvas.js').status, 0);
+
+  updateSnapshot(repoDir, (snapshot, getRecord) => { getRecord('shape:w1').props.jsxContent += '// remote\n'; });
+  const { status, output } = runScript(repoDir, 'unpack-canvas-state.js');
+
+  assert.equal(status, 0, output);
+  assert.doesNotMatch(output, /local edits/);
+  assert.match(fs.readFileSync(templatePath, 'utf8'), /\/\/ local\n\/\/ remote\n$/);
+});
+
+/**
+ * Run the merge driver on three versions of a file. Returns the number of conflicts and a function resolving
+ * every conflict to one side, as taking "ours" or "theirs" for each hunk in a merge tool would.
+ */
+function mergeVersions(t, fileName, base, ours, theirs) {
+  const tempDir = createTempDirectory(t);
+  const [basePath, oursPath, theirsPath] = ['base', 'ours', 'theirs'].map(name => path.join(tempDir, `${name}.json`));
+  fs.writeFileSync(basePath, JSON.stringify(base, null, 2));
+  fs.writeFileSync(oursPath, JSON.stringify(ours, null, 2));
+  fs.writeFileSync(theirsPath, JSON.stringify(theirs, null, 2));
+
+  const conflictCount = mergeCanvasFile(basePath, oursPath, theirsPath, `room-root/${fileName}`);
+  const merged = fs.readFileSync(oursPath, 'utf8');
+  const resolve = (side) => JSON.parse(merged.replace(/<<<<<<< ours\n([^]*?)=======\n([^]*?)>>>>>>> theirs\n/g, side === 'ours' ? '$1' : '$2'));
+  return { conflictCount, resolve };
+}
+
+function createDeleteModifyMerge(t) {
+  const base = createSnapshot([createWidgetRecord('w1'), createWidgetRecord('w2', { index: 'a2' })]);
+  const ours = { ...createSnapshot([createWidgetRecord('w2', { index: 'a2' })], 2), tombstones: { 'shape:w1': 2 } };
+  const theirs = createSnapshot([createWidgetRecord('w1', { x: 999 }), createWidgetRecord('w2', { index: 'a2' })], 2);
+  return mergeVersions(t, 'canvas-state.json', base, ours, theirs);
+}
+
+test('merging a deleted record with a changed one keeps it untombstoned when the change is taken', (t) => {
+  const { conflictCount, resolve } = createDeleteModifyMerge(t);
+  assert.equal(conflictCount, 2); // The record and its tombstone
+
+  const resolved = resolve('theirs');
+  const record = resolved.documents.find(doc => doc.state.id === 'shape:w1');
+  assert.equal(record.state.x, 999);
+  assert.equal('shape:w1' in resolved.tombstones, false);
+  assert.deepEqual(validateRoomSnapshot(resolved).map(violation => violation.message), []);
+});
+
+test('merging a deleted record with a changed one tombstones it when the deletion is taken', (t) => {
+  const { resolve } = createDeleteModifyMerge(t);
+
+  const resolved = resolve('ours');
+  assert.deepEqual(resolved.documents.map(doc => doc.state.id).filter(id => id.startsWith('shape:')), ['shape:w2']);
+  assert.equal(resolved.tombstones['shape:w1'], 2);
+  assert.deepEqual(validateRoomSnapshot(resolved).map(violation => violation.message), []);
+
+  const repoDir = createCanvasRepository(t, resolved);
+  assert.equal(fs.existsSync(path.join(repoDir, 'room-root', 'widget-w1')), false);
+  assert.equal(readWidgetProperties(repoDir, 'w2').shapeId, 'shape:w2');
+});
+
+test('merging a deleted key with a changed one leaves valid JSON on either side', (t) => {
+  const { conflictCount, resolve } = mergeVersions(t, 'storage.json', { a: 1, b: 1 }, { a: 1, b: 2 }, { a: 1 });
+
+  assert.equal(conflictCount, 1);
+  assert.deepEqual(resolve('ours'), { a: 1, b: 2 });
+  assert.deepEqual(resolve('theirs'), { a: 1 });
+
+  const onlyDeleted = mergeVersions(t, 'storage.json', { b: 1, c: 1 }, { b: 2 }, { c: 2 });
+  assert.equal(onlyDeleted.conflictCount, 2);
+  assert.deepEqual(onlyDeleted.resolve('ours'), { b: 2 });
+  assert.deepEqual(onlyDeleted.resolve('theirs'), { c: 2 });
+});
+
+test('geo records from schema version 11 are migrated to 12', (t) => {
+  const repoDir = createCanvasRepository(t, createSnapshot([createWidgetRecord('w1')]));
+  updateSnapshot(repoDir, (snapshot) => {
+    snapshot.schema = { ...snapshot.schema, sequences: { ...snapshot.schema.sequences, 'com.tldraw.shape.geo': 11 } };
+    const richText = { type: 'doc', content: [{ type: 'paragraph', content: [{ type: 'text', text: 'Label' }] }] };
+    const geoRecord = { ...createWidgetRecord('g1', { index: 'a2' }), type: 'geo', props: { geo: 'rectangle', w: 100, h: 100, richText } };
+    snapshot.documents.push({ state: geoRecord, lastChangedClock: 2 });
+  });
+
+  const { status, output } = runScript(repoDir, 'unpack-canvas-state.js');
+  assert.equal(status, 0, output);
+  assert.match(output, /Migrated com\.tldraw\.shape\.geo/);
+  const geoRecord = JSON.parse(fs.readFileSync(path.join(repoDir, 'room-root', 'general-shape-geo-g1.json'), 'utf8'));
+  assert.equal(geoRecord.props.flipX, false);
+  assert.equal(geoRecord.props.flipY, false);
+  assert.equal(geoRecord.props.richText.content[0].content[0].text, 'Label');
+  const metadata = JSON.parse(fs.readFileSync(path.join(repoDir, 'room-root', 'canvas-metadata.json'), 'utf8'));
+  assert.equal(metadata.schema.sequences['com.tldraw.shape.geo'], 12);
+});
+
+test('records from an older schema without migrations are refused unless allowed', (t) => {
+  const repoDir = createCanvasRepository(t, createSnapshot([createWidgetRecord('w1')]));
+  updateSnapshot(repoDir, (snapshot) => {
+    snapshot.schema = { ...snapshot.schema, sequences: { ...snapshot.schema.sequences, 'com.tldraw.shape.embed': 0 } };
+    const embedRecord = { ...createWidgetRecord('e1', { index: 'a2' }), type: 'embed', props: { w: 100, h: 100, url: 'https://www.youtube.com/embed/abc' } };
+    snapshot.documents.push({ state: embedRecord, lastChangedClock: 2 });
+  });
+
+  const refused = runScript(repoDir, 'unpack-canvas-state.js');
+  assert.equal(refused.status, 1);
+  assert.match(refused.output, /com\.tldraw\.shape\.embed 0 \(no migration to 1\)/);
+  assert.equal(fs.existsSync(path.join(repoDir, 'room-root', 'general-shape-embed-e1.json')), false);
+
+  const allowed = runScript(repoDir, 'unpack-canvas-state.js', '--allow-older-schema');
+  assert.equal(allowed.status, 0, allowed.output);
+  const metadata = JSON.parse(fs.readFileSync(path.join(repoDir, 'room-root', 'canvas-metadata.json'), 'utf8'));
+  assert.equal(metadata.schema.sequences['com.tldraw.shape.embed'], 0);
+});
+
+test('arrows from before bindings get their bound terminals extracted into binding records', () => {
+  const sequences = { ...currentSchema.sequences, 'com.tldraw.shape.arrow': 3 };
+  delete sequences['com.tldraw.binding.arrow'];
+  const arrowRecord = {
+    ...createWidgetRecord('a1'),
+    type: 'arrow',
+    props: {
+      text: 'Uses',
+      start: { type: 'binding', boundShapeId: 'shape:w1', normalizedAnchor: { x: 0.5, y: 0.5 }, isExact: false, isPrecise: false },
+      end: { type: 'point', x: 10, y: 20 }
+    }
+  };
+  const snapshot = { ...createSnapshot([createWidgetRecord('w1'), arrowRecord]), schema: { schemaVersion: 2, sequences } };
+
+  const { snapshot: migrated, unmigrated } = migrateSnapshot(snapshot);
+  assert.deepEqual(unmigrated, []);
+  const states = new Map(migrated.documents.map(doc => [doc.state.id, doc.state]));
+  assert.deepEqual(states.get('shape:a1').props.start, { x: 0, y: 0 });
+  assert.deepEqual(states.get('shape:a1').props.end, { x: 10, y: 20 });
+  assert.equal(states.get('shape:a1').props.richText.content[0].content[0].text, 'Uses');
+  assert.deepEqual(states.get('binding:a1-start'), {
+    typeName: 'binding',
+    id: 'binding:a1-start',
+    type: 'arrow',
+    fromId: 'shape:a1',
+    toId: 'shape:w1',
+    meta: {},
+    props: { terminal: 'start', normalizedAnchor: { x: 0.5, y: 0.5 }, isExact: false, isPrecise: false, snap: 'none' }
+  });
+  assert.equal(migrated.schema.sequences['com.tldraw.binding.arrow'], 1);
+});
+
+// Write a widget directory of source files for compile.js
+function writeWidgetFiles(widgetDir, files) {
+  for (const [fileName, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(widgetDir, fileName)), { recursive: true });
+    fs.writeFileSync(path.join(widgetDir, fileName), content);
+  }
+}
+
+test('compile bundles the relative imports of a template into template.html', (t) => {
+  const repoDir = createTempDirectory(t);
+  const widgetDir = path.join(repoDir, 'room-root', 'widget-w1');
+  writeWidgetFiles(widgetDir, {
+    'template.jsx': "import Chart from './Chart.jsx';\nimport { format } from './lib';\nexport default function Widget() { return <Chart label={format(1)} />; }\n",
+    'Chart.jsx': "export default function Chart({ label }) { return <div>{label}</div>; }\n",
+    'lib/index.js': 'export const format = (value) => `#${value}`;\n'
+  });
+
+  const { status, output } = runScript(repoDir, 'compile.js');
+
+  assert.equal(status, 0, output);
+  const html = fs.readFileSync(path.join(widgetDir, 'template.html'), 'utf8');
+  for (const moduleId of ['template.jsx', 'Chart.jsx', 'lib/index.js']) {
+    assert.match(html, new RegExp(`"${moduleId.replace('.', '\\.')}": function \\(module, exports, require\\)`));
+  }
+  assert.match(html, /requireWidgetModule\("template\.jsx"\)\.default/);
+});
+
+test('compile refuses imports that leave the widget directory', (t) => {
+  const repoDir = createTempDirectory(t);
+  const widgetDir = path.join(repoDir, 'room-root', 'widget-w1');
+  writeWidgetFiles(widgetDir, {
+    'template.jsx': "import shared from '../shared.js';\nexport default function Widget() { return <div>{shared}</div>; }\n"
+  });
+  fs.writeFileSync(path.join(repoDir, 'room-root', 'shared.js'), 'export default 1;\n');
+
+  const { status, output } = runScript(repoDir, 'compile.js');
+
+  assert.equal(status, 1);
+  assert.match(output, /Import '\.\.\/shared\.js' in room-root\/widget-w1\/template\.jsx points outside the widget directory/);
+  assert.equal(fs.existsSync(path.join(widgetDir, 'template.html')), false);
+});
+
+test('compile rebuilds a cached widget when a template.tsx is added next to its template.jsx', (t) => {
+  const repoDir = createTempDirectory(t);
+  const widgetDir = path.join(repoDir, 'room-root', 'widget-w1');
+  writeWidgetFiles(widgetDir, { 'template.jsx': 'export default function Widget() { return <div>jsx</div>; }\n' });
+  assert.equal(runScript(repoDir, 'compile.js').status, 0);
+
+  writeWidgetFiles(widgetDir, { 'template.tsx': 'export default function Widget(): JSX.Element { return <div>tsx</div>; }\n' });
+  const { status, output } = runScript(repoDir, 'compile.js');
+
+  assert.equal(status, 0, output);
+  assert.match(output, /widget-w1 compiled/);
+  const html = fs.readFileSync(path.join(widgetDir, 'template.html'), 'utf8');
+  assert.match(html, /requireWidgetModule\("template\.tsx"\)\.default/);
+});
+
+test('generate falls back to default settings when miyagi.config.json cannot be parsed', (t) => {
+  const repoDir = createCanvasRepository(t, createSnapshot([createWidgetRecord('w1')]));
+  fs.writeFileSync(path.join(repoDir, 'miyagi.config.json'), '{ "generate": { "stripSourceMaps": true, } }\n');
+
+  const { status, output } = runScript(repoDir, 'generate-canvas.js');
+
+  assert.equal(status, 0, output);
+  assert.match(output, /Could not parse miyagi\.config\.json, using default settings/);
+});
+
+test('development builds of widgets inside frames are seeded with their room global storage', (t) => {
+  const repoDir = createTempDirectory(t);
+  const widgetPath = path.join('room-root', 'page-second', 'frame-f1', 'widget-w1');
+  writeWidgetFiles(path.join(repoDir, widgetPath), { 'template.jsx': 'export default function Widget() { return <div />; }\n' });
+  fs.writeFileSync(path.join(repoDir, 'room-root', 'global-storage.json'), JSON.stringify({ theme: 'dark' }));
+
+  const { status, output } = runScript(repoDir, 'compile.js', '--dev');
+
+  assert.equal(status, 0, output);
+  const devHtml = fs.readFileSync(path.join(repoDir, '.miyagi', 'dev', `${widgetPath}.html`), 'utf8');
+  assert.match(devHtml, /"key":"miyagi-dev:room-root:global-storage","data":\{"theme":"dark"\}/);
+});
+
+test('compile accepts every form of default export and fails templates without one', (t) => {
+  const repoDir = createTempDirectory(t);
+  const roomDir = path.join(repoDir, 'room-root');
+  writeWidgetFiles(path.join(roomDir, 'widget-declaration'), { 'template.jsx': 'export default function Widget() { return <div />; }\n' });
+  writeWidgetFiles(path.join(roomDir, 'widget-specifier'), { 'template.jsx': 'function Widget() { return <div />; }\nexport { Widget as default };\n' });
+  writeWidgetFiles(path.join(roomDir, 'widget-expression'), { 'template.tsx': 'const Widget = (): JSX.Element => <div />;\nexport default Widget;\n' });
+  writeWidgetFiles(path.join(roomDir, 'widget-named'), { 'template.jsx': 'export function Widget() { return <div />; }\n' });
+
+  const { status, output } = runScript(repoDir, 'compile.js');
+
+  assert.equal(status, 1);
+  for (const name of ['declaration', 'specifier', 'expression']) {
+    assert.match(output, new RegExp(`✅ widget-${name} compiled`));
+  }
+  assert.match(output, /room-root\/widget-named\/template\.jsx - compile error: template\.jsx has no default export/);
+  assert.equal(fs.existsSync(path.join(roomDir, 'widget-named', 'template.html')), false);
+});
+
+test('validation accepts a consistent snapshot and reports broken references per record', () => {
+  const widgetWithoutHandle = createWidgetRecord('w2', { index: 'a2' });
+  delete widgetWithoutHandle.props.templateHandle;
+  assert.deepEqual(validateRoomSnapshot(createSnapshot([createWidgetRecord('w1'), widgetWithoutHandle])), []);
+
+  const orphan = { ...createWidgetRecord('orphan', { index: 'not an index' }), parentId: 'shape:missing' };
+  const loopA = { ...createWidgetRecord('loopA', { index: 'a3' }), parentId: 'shape:loopB' };
+  const loopB = { ...createWidgetRecord('loopB', { index: 'a4' }), parentId: 'shape:loopA' };
+  const withoutHtml = createWidgetRecord('w3', { index: 'a5' });
+  delete withoutHtml.props.htmlContent;
+  const snapshot = createSnapshot([orphan, loopA, loopB, withoutHtml, createWidgetRecord('w1')], 2);
+  snapshot.documents.push({ state: { id: 'binding:b1', typeName: 'binding', type: 'arrow', fromId: 'shape:w1', toId: 'shape:gone', props: { terminal: 'end' }, meta: {} }, lastChangedClock: 2 });
+  snapshot.tombstones = { 'shape:w1': 2 };
+
+  const messages = validateRoomSnapshot(snapshot).map(violation => `${violation.recordId}: ${violation.message}`);
+
+  assert.deepEqual(messages.sort(), [
+    "binding:b1: toId 'shape:gone' does not reference an existing shape",
+    "shape:loopA: parentId chain contains a cycle",
+    "shape:loopB: parentId chain contains a cycle",
+    "shape:orphan: invalid index 'not an index'",
+    "shape:orphan: parentId 'shape:missing' does not reference an existing page or shape",
+    'shape:w1: record is both present and tombstoned',
+    'shape:w3: missing props.htmlContent'
+  ]);
+});
+
+test('validate-canvas names the room file a broken record was unpacked to', (t) => {
+  const repoDir = createCanvasRepository(t, createSnapshot([createWidgetRecord('w1')]));
+  updateSnapshot(repoDir, (snapshot, getRecord) => { getRecord('shape:w1').opacity = 2; });
+
+  const { status, output } = runScript(repoDir, 'validate-canvas.js');
+
+  assert.equal(status, 1);
+  assert.match(output, /❌ room-root\/widget-w1\/properties\.json\n\s+shape:w1: opacity should be between 0 and 1, got 2/);
+});
+
+test('fractional indexes match the keys tldraw generates and sort in code unit order', () => {
+  assert.equal(generateKeyBetween(null, null), 'a0');
+  assert.equal(generateKeyBetween('a0', null), 'a1');
+  assert.equal(generateKeyBetween(null, 'a0'), 'Zz');
+  assert.equal(generateKeyBetween('a0', 'a1'), 'a0V');
+  assert.equal(generateKeyBetween('az', null), 'b00');
+  assert.deepEqual(generateKeysBetween('a0', 'a1', 3), ['a0G', 'a0V', 'a0l']);
+  assert.throws(() => generateKeyBetween('a1', 'a0'), /Cannot generate an index between a1 and a0/);
+
+  assert.deepEqual(['a0', 'a0V', 'Zz'].map(isValidIndex), [true, true, true]);
+  assert.deepEqual(['', 'a00', 'b1', 'a0!'].map(isValidIndex), [false, false, false, false]);
+  assert.deepEqual(['a1', 'a0v', 'Zz', 'a0V'].sort(compareIndexes), ['Zz', 'a0V', 'a0v', 'a1']);
+});
+
+test('reorder-widget moves a widget in front of its siblings', (t) => {
+  const repoDir = createCanvasRepository(t, createSnapshot([createWidgetRecord('w1'), createWidgetRecord('w2', { index: 'a2' })]));
+
+  const { status, output } = runScript(repoDir, 'reorder-widget.js', path.join('room-root', 'widget-w1'), 'front');
+
+  assert.equal(status, 0, output);
+  assert.equal(readWidgetProperties(repoDir, 'w1').index, 'a3');
+});
+
+test('widget properties round-trip falsy values and fields the schema does not know', () => {
+  const record = createWidgetRecord('w1', { x: 0 });
+  Object.assign(record, { y: -0.5, opacity: 0, futureField: { nested: true } });
+  Object.assign(record.props, { color: '', zoomScale: 0, newProp: false });
+
+  const properties = recordToProperties(widgetPropertiesSchema, record, { lastChangedClock: 3 });
+  assert.deepEqual(properties.position, { x: 0, y: -0.5 });
+  assert.equal(properties.opacity, 0);
+  assert.equal(properties.isLocked, false);
+  assert.equal(properties.color, '');
+  assert.deepEqual(properties.futureField, { nested: true });
+  assert.deepEqual(properties.props, { newProp: false });
+
+  const { htmlContent, jsxContent } = record.props;
+  const roundTripped = propertiesToRecord(widgetPropertiesSchema, JSON.parse(JSON.stringify(properties)), {
+    typeName: 'shape', type: 'miyagi-widget', 'props.htmlContent': htmlContent, 'props.jsxContent': jsxContent
+  });
+  assert.deepEqual(roundTripped, record);
+});
+
+test('widget properties fill defaults and read the older flat layout', () => {
+  const record = propertiesToRecord(widgetPropertiesSchema, { id: 'shape:old', x: 5, w: 10, parentId: 'page:page' }, { typeName: 'shape', type: 'miyagi-widget' });
+
+  assert.equal(record.id, 'shape:old');
+  assert.equal(record.x, 5);
+  assert.equal(record.y, 0);
+  assert.deepEqual(record.props, { w: 10, h: 200, widgetId: 'widget_old', color: 'black', zoomScale: 1 });
+  assert.deepEqual(record.meta, { initializationState: 'ready' });
+});
+
+function readTrashManifest(repoDir) {
+  return JSON.parse(fs.readFileSync(path.join(repoDir, '.miyagi', 'trash', 'manifest.json'), 'utf8'));
+}
+
+test('widgets removed by unpack can be restored from the trash', (t) => {
+  const repoDir = createCanvasRepository(t, createSnapshot([createWidgetRecord('w1'), createWidgetRecord('w2', { index: 'a2' })]));
+  const widgetDir = path.join(repoDir, 'room-root', 'widget-w2');
+  updateSnapshot(repoDir, (snapshot) => {
+    snapshot.documents = snapshot.documents.filter(doc => doc.state.id !== 'shape:w2');
+    snapshot.tombstones['shape:w2'] = snapshot.clock + 1;
+  });
+  assert.equal(runScript(repoDir, 'unpack-canvas-state.js').status, 0);
+  assert.equal(fs.existsSync(widgetDir), false);
+
+  const [item] = readTrashManifest(repoDir).items;
+  assert.equal(item.originalPath, 'room-root/widget-w2');
+  assert.equal(item.source, 'unpack');
+
+  const restored = runScript(repoDir, 'trash.js', 'restore', item.id);
+  assert.equal(restored.status, 0, restored.output);
+  assert.equal(readWidgetProperties(repoDir, 'w2').shapeId, 'shape:w2');
+  assert.deepEqual(readTrashManifest(repoDir).items, []);
+  assert.deepEqual(fs.readdirSync(path.join(repoDir, '.miyagi', 'trash')), ['manifest.json']);
+});
+
+test('purging the trash deletes old items unless --all is given', (t) => {
+  const repoDir = createTempDirectory(t);
+  const batchId = createBatchId();
+  for (const fileName of ['old.json', 'recent.json']) {
+    fs.writeFileSync(path.join(repoDir, fileName), '{}');
+    moveToTrash(path.join(repoDir, fileName), { rootDir: repoDir, batchId, source: 'test' });
+  }
+  const manifest = readTrashManifest(repoDir);
+  manifest.items[0].removedAt = new Date(Date.now() - 31 * 24 * 60 * 60 * 1000).toISOString();
+  fs.writeFileSync(path.join(repoDir, '.miyagi', 'trash', 'manifest.json'), JSON.stringify(manifest));
+
+  const purged = runScript(repoDir, 'trash.js', 'purge');
+  assert.equal(purged.status, 0, purged.output);
+  assert.deepEqual(readTrashManifest(repoDir).items.map(item => item.originalPath), ['recent.json']);
+  assert.equal(fs.existsSync(path.join(repoDir, '.miyagi', 'trash', batchId, 'old.json')), false);
+
+  assert.equal(runScript(repoDir, 'trash.js', 'purge', '--all').status, 0);
+  assert.deepEqual(fs.readdirSync(path.join(repoDir, '.miyagi', 'trash')), ['manifest.json']);
+});
@@ -181,7 +181,7 @@ echo "✅ Post-merge hook completed"
 echo "🪝 Running pre-commit hook..."
 
 # Check if we have JSX files to compile
-if find . -name "template.jsx" -type f | grep -q .; then
+if find . \( -name "template.jsx" -o -name "template.tsx" \) -type f | grep -q .; then
   echo "🔧 Compiling JSX files..."
   
   # Download and run compile script if needed
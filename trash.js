@@ -0,0 +1,222 @@
+#!/usr/bin/env node
+
+/**
+ * Recoverable trash for widgets, general objects and rooms removed by unpack-canvas-state.js,
+ * delete-widget.js and delete-room.js
+ *
+ * Removed items are moved into .miyagi/trash/{batchId}/ at their path relative to the repository root, one
+ * batch per run, and listed in .miyagi/trash/manifest.json so they can be put back where they came from.
+ *
+ * Usage:
+ *   node trash.js list
+ *   node trash.js restore <itemId>
+ *   node trash.js purge [--older-than=<days>] [--all]
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const defaultPurgeAgeDays = 30;
+
+function getTrashDirectory(rootDir) {
+  return path.join(rootDir, '.miyagi', 'trash');
+}
+
+function readManifest(rootDir) {
+  const manifestPath = path.join(getTrashDirectory(rootDir), 'manifest.json');
+  try {
+    return JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+  } catch (error) {
+    return { items: [] };
+  }
+}
+
+function writeManifest(rootDir, manifest) {
+  const trashDir = getTrashDirectory(rootDir);
+  fs.mkdirSync(trashDir, { recursive: true });
+  fs.writeFileSync(path.join(trashDir, 'manifest.json'), JSON.stringify(manifest, null, 2), 'utf8');
+}
+
+/**
+ * Find the repository holding a path (the nearest directory with a .git entry), or the current directory
+ */
+function findRepositoryRoot(startPath) {
+  let dir = path.resolve(startPath);
+  while (path.dirname(dir) !== dir) {
+    if (fs.existsSync(path.join(dir, '.git'))) return dir;
+    dir = path.dirname(dir);
+  }
+  return process.cwd();
+}
+
+/**
+ * Create the id of a new trash batch, e.g. 2026-10-19T16-03-19-584Z
+ */
+function createBatchId() {
+  return new Date().toISOString().replace(/[:.]/g, '-');
+}
+
+// Rename, falling back to copy and remove when the trash is on another device
+function movePath(from, to) {
+  fs.mkdirSync(path.dirname(to), { recursive: true });
+  try {
+    fs.renameSync(from, to);
+  } catch (error) {
+    if (error.code !== 'EXDEV') throw error;
+    fs.cpSync(from, to, { recursive: true });
+    fs.rmSync(from, { recursive: true, force: true });
+  }
+}
+
+// Remove empty directories from dir up to (not including) stopDir
+function removeEmptyParents(dir, stopDir) {
+  while (dir.startsWith(stopDir + path.sep) && fs.existsSync(dir) && fs.readdirSync(dir).length === 0) {
+    fs.rmdirSync(dir);
+    dir = path.dirname(dir);
+  }
+}
+
+/**
+ * Move a file or directory into the trash
+ * @param {string} targetPath - The file or directory to remove, inside rootDir
+ * @param {object} options
+ * @param {string} options.rootDir - The repository root
+ * @param {string} options.batchId - The batch from createBatchId()
+ * @param {string} options.source - The script removing the item, e.g. 'unpack'
+ * @param {string} [options.reason] - Why the item was removed
+ * @returns {object} The manifest entry of the trashed item
+ */
+function moveToTrash(targetPath, { rootDir, batchId, source, reason }) {
+  const resolvedRoot = path.resolve(rootDir);
+  const resolvedTarget = path.resolve(targetPath);
+  const relativePath = path.relative(resolvedRoot, resolvedTarget);
+  if (!relativePath || relativePath.startsWith('..') || path.isAbsolute(relativePath)) {
+    throw new Error(`Cannot trash a path outside the repository: ${targetPath}`);
+  }
+
+  const manifest = readManifest(resolvedRoot);
+  const itemId = `${batchId}-${manifest.items.filter(item => item.batchId === batchId).length + 1}`;
+  const trashPath = path.join(batchId, relativePath);
+
+  movePath(resolvedTarget, path.join(getTrashDirectory(resolvedRoot), trashPath));
+
+  const item = {
+    id: itemId,
+    batchId,
+    originalPath: relativePath.split(path.sep).join('/'),
+    trashPath: trashPath.split(path.sep).join('/'),
+    removedAt: new Date().toISOString(),
+    source,
+    reason: reason || null
+  };
+  manifest.items.push(item);
+  writeManifest(resolvedRoot, manifest);
+
+  return item;
+}
+
+/**
+ * List the items in the trash, oldest first
+ */
+function listTrash(rootDir = process.cwd()) {
+  const { items } = readManifest(rootDir);
+  if (items.length === 0) {
+    console.log('🗑️  The trash is empty');
+    return items;
+  }
+
+  console.log(`🗑️  ${items.length} items in the trash:`);
+  for (const item of items) {
+    console.log(`  ${item.id}  ${item.originalPath}`);
+    console.log(`      removed ${item.removedAt} by ${item.source}${item.reason ? ` (${item.reason})` : ''}`);
+  }
+  return items;
+}
+
+/**
+ * Put a trashed item back at its original path
+ * @param {string} itemId - The id shown by `node trash.js list`
+ */
+function restoreFromTrash(itemId, rootDir = process.cwd()) {
+  const manifest = readManifest(rootDir);
+  const item = manifest.items.find(candidate => candidate.id === itemId);
+  if (!item) {
+    throw new Error(`No item ${itemId} in the trash`);
+  }
+
+  const trashDir = getTrashDirectory(rootDir);
+  const originalPath = path.join(rootDir, item.originalPath);
+  if (fs.existsSync(originalPath)) {
+    throw new Error(`${item.originalPath} already exists, move it away before restoring`);
+  }
+
+  const trashedPath = path.join(trashDir, item.trashPath);
+  movePath(trashedPath, originalPath);
+  removeEmptyParents(path.dirname(trashedPath), trashDir);
+
+  manifest.items = manifest.items.filter(candidate => candidate !== item);
+  writeManifest(rootDir, manifest);
+
+  console.log(`♻️  Restored ${item.originalPath}`);
+  return item;
+}
+
+/**
+ * Permanently delete trashed items
+ * @param {object} [options]
+ * @param {number} [options.olderThanDays] - Only delete items removed longer ago than this (default 30)
+ * @param {boolean} [options.all] - Delete every item
+ */
+function purgeTrash({ olderThanDays = defaultPurgeAgeDays, all = false } = {}, rootDir = process.cwd()) {
+  const manifest = readManifest(rootDir);
+  const trashDir = getTrashDirectory(rootDir);
+  const cutoff = Date.now() - olderThanDays * 24 * 60 * 60 * 1000;
+
+  const purged = manifest.items.filter(item => all || Date.parse(item.removedAt) < cutoff);
+  for (const item of purged) {
+    const trashedPath = path.join(trashDir, item.trashPath);
+    fs.rmSync(trashedPath, { recursive: true, force: true });
+    removeEmptyParents(path.dirname(trashedPath), trashDir);
+  }
+
+  manifest.items = manifest.items.filter(item => !purged.includes(item));
+  writeManifest(rootDir, manifest);
+
+  console.log(`🔥 Purged ${purged.length} items${all ? '' : ` removed more than ${olderThanDays} days ago`}, ${manifest.items.length} left`);
+  return purged;
+}
+
+module.exports = { findRepositoryRoot, createBatchId, moveToTrash, listTrash, restoreFromTrash, purgeTrash };
+
+// Parse command line arguments and run when called directly
+if (require.main === module) {
+  const args = process.argv.slice(2).filter(arg => !arg.startsWith('--'));
+  const olderThanOption = process.argv.find(arg => arg.startsWith('--older-than='));
+  const command = args[0];
+
+  try {
+    if (command === 'list') {
+      listTrash();
+    } else if (command === 'restore' && args[1]) {
+      restoreFromTrash(args[1]);
+    } else if (command === 'purge') {
+      const olderThanDays = olderThanOption ? Number(olderThanOption.slice('--older-than='.length)) : defaultPurgeAgeDays;
+      if (!Number.isFinite(olderThanDays) || olderThanDays < 0) {
+        throw new Error(`Invalid --older-than value: ${olderThanOption}`);
+      }
+      purgeTrash({ olderThanDays, all: process.argv.includes('--all') });
+    } else {
+      console.error('Error: A command is required');
+      console.log('Usage: node trash.js <list|restore|purge> [itemId] [--older-than=<days>] [--all]');
+      console.log('Commands:');
+      console.log('  list             - List trashed widgets, general objects and rooms');
+      console.log('  restore <itemId> - Put an item back at its original path');
+      console.log(`  purge            - Permanently delete items older than --older-than days (default ${defaultPurgeAgeDays}), or --all`);
+      console.log('Example: node trash.js restore 2026-10-19T16-03-19-584Z-1');
+      process.exit(1);
+    }
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+}
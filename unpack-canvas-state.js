@@ -5,22 +5,78 @@
  * 
  * Processes all canvas-state.json files in the repository recursively.
  * Each room (root or subcanvas) is processed identically and generates:
- * - Widget directories (widget-{shapeId}/) with properties.json, template.jsx, template.html, storage.json
+ * - Widget directories (widget-{shapeId}/) with properties.json, template.jsx (or template.tsx), template.html,
+ *   storage.json, an optional template.css and any sibling modules (sourceFiles) imported by the template
  * - Canvas metadata files (canvas-metadata.json) 
  * - Global storage files (global-storage.json)
  * - Canvas-link info files (canvas-link-info.json) in target room directories
+ * - General object files (general-shape-*, general-asset-*, general-binding-*.json) and a catch-all
+ *   general-records.json for every other record type (cameras, custom records), so nothing is lost
+ *
+ * Shapes on the room's first page live in the room directory itself; shapes on any other page
+ * live in a page-{pageId}/ subdirectory of the room. Children of frames and groups (widgets included)
+ * live in frame-{shapeId}/ or group-{shapeId}/ directories next to the frame's or group's file.
+ *
+ * Files are only written when their content changed and carry no timestamps, so unpacking an unchanged
+ * snapshot leaves the working tree clean.
+ *
+ * Cleanup honors the snapshots' tombstones: widget directories and general object files are removed when
+ * their record was deleted (tombstoned) or unpacked elsewhere. Ones the snapshots know nothing about are
+ * kept with a warning, as they are most likely new local widgets that were not generated yet.
  * 
- * Usage: node unpack-canvas-state.js
+ * Removals found by the cleanup are staged and applied together at the end, moving the removed widgets, general
+ * objects and rooms into .miyagi/trash/ (see trash.js to restore or purge them). With --dry-run nothing is written
+ * or removed: the script prints every file it would create, overwrite or remove instead. With --confirm-deletes
+ * it writes as usual but asks before removing anything (for manual runs, git hooks run it without the flag).
+ *
+ * Local edits to widget files are protected. A file counts as edited when it no longer matches the content last
+ * synced with canvas-state.json (see synced-files.js; files synced by older versions fall back to git status).
+ * Edited (or deleted) files the incoming canvas-state.json did not change are kept as they are. When it changed them
+ * too, the local file is kept and the incoming version is saved to .miyagi/conflicts/ instead. Edited files that are
+ * not in the incoming canvas-state.json, such as new modules or a template renamed to template.tsx, are kept and
+ * reported as well (--overwrite-local-edits moves local files to the trash and takes the incoming version anyway).
+ *
+ * Snapshots saved with an older tldraw schema are migrated up to the schema the scripts write (see
+ * schema-migrations.js). Unpacking stops when a snapshot is newer than that, or has records no migration is
+ * registered for, since its records could be written back incompletely; --allow-newer-schema and
+ * --allow-older-schema unpack it anyway (older records keep their saved schema version).
+ *
+ * Usage: node unpack-canvas-state.js [--dry-run] [--confirm-deletes] [--overwrite-local-edits] [--allow-newer-schema]
+ *                                    [--allow-older-schema]
  */
 
 const fs = require('fs');
 const path = require('path');
+const readline = require('readline');
+const { execFileSync } = require('child_process');
+const { containerShapeTypes, containerDirectoryPattern, getContainerDirectoryName } = require('./room-layout.js');
+const { widgetPropertiesSchema, canvasLinkInfoSchema, recordToProperties } = require('./properties-schema.js');
+const { createBatchId, moveToTrash } = require('./trash.js');
+const { compareSchema, migrateSnapshot } = require('./schema-migrations.js');
+const { hashContent, getSyncedFileKey, loadSyncedFileHashes, saveSyncedFileHashes } = require('./synced-files.js');
 
 class CanvasStateUnpacker {
-  constructor(rootDir = process.cwd()) {
+  constructor(rootDir = process.cwd(), options = {}) {
     this.rootDir = rootDir;
+    this.dryRun = options.dryRun !== undefined ? options.dryRun : process.argv.includes('--dry-run');
+    this.confirmDeletes = options.confirmDeletes !== undefined ? options.confirmDeletes : process.argv.includes('--confirm-deletes');
+    this.allowNewerSchema = options.allowNewerSchema !== undefined ? options.allowNewerSchema : process.argv.includes('--allow-newer-schema');
+    this.allowOlderSchema = options.allowOlderSchema !== undefined ? options.allowOlderSchema : process.argv.includes('--allow-older-schema');
+    this.overwriteLocalEdits = options.overwriteLocalEdits !== undefined ? options.overwriteLocalEdits : process.argv.includes('--overwrite-local-edits');
+    this.conflictsDir = path.join(rootDir, '.miyagi', 'conflicts');
+    this.syncedFileHashes = {}; // Widget file hashes as last synced with canvas-state.json, by relative path
+    this.locallyEditedFiles = null; // Absolute paths git reports as modified or untracked, null outside git
+    this.conflicts = []; // Widget files kept because they have local edits that canvas-state.json would overwrite or remove
+    this.keptDeletions = new Set(); // Synced-file keys of widget files deleted locally and kept deleted
+    this.plan = { create: [], overwrite: [], remove: [] }; // Filled in dry runs
+    this.stagedRemovals = []; // [{ target, message }] found by the cleanup, applied at the end
     this.processedWidgets = new Set();
     this.processedGeneralObjects = new Set();
+    this.liveRecordIds = new Set(); // Shape and asset ids present in the unpacked snapshots
+    this.tombstonedRecordIds = new Set(); // Ids deleted according to the snapshots' tombstones
+    this.stalePageDirs = new Set(); // page-* directories whose page no longer exists (or became the first page)
+    this.writtenFileCount = 0;
+    this.unchangedFileCount = 0;
     this.referencedRooms = new Set(); // Rooms referenced by canvas-links across all canvas-state.json files
     this.unreferencedRoomDirs = new Set(); // Room directories that are potentially unreferenced (populated during BFS)
   }
@@ -32,14 +88,37 @@ class CanvasStateUnpacker {
     console.log('🚀 Starting canvas state unpacking with graph traversal...');
     
     try {
+      this.syncedFileHashes = loadSyncedFileHashes(this.rootDir);
+      this.locallyEditedFiles = this.findLocallyEditedFiles();
+      if (!this.locallyEditedFiles && Object.keys(this.syncedFileHashes).length === 0) {
+        console.warn('⚠️ Not in a git repository and no widget files were synced before, local widget edits cannot be detected and will be overwritten');
+      }
+      if (!this.dryRun) {
+        fs.rmSync(this.conflictsDir, { recursive: true, force: true });
+      }
+
       const rootRoomName = await this.identifyRootRoom();
 
       await this.traverseCanvasGraph(rootRoomName);
 
       await this.cleanupOldWidgets();
       await this.cleanupOldGeneralObjects();
+      await this.cleanupEmptyContainerDirectories(this.rootDir);
+      await this.cleanupStalePageDirectories();
       await this.cleanupUnreferencedRooms();
+      await this.applyStagedRemovals();
+      if (!this.dryRun) {
+        saveSyncedFileHashes(this.rootDir, this.syncedFileHashes, { keep: this.keptDeletions });
+      }
 
+      this.reportConflicts();
+
+      if (this.dryRun) {
+        this.printPlan();
+        console.log('✅ Dry run completed, nothing was changed');
+        return;
+      }
+      console.log(`📝 Wrote ${this.writtenFileCount} files, ${this.unchangedFileCount} unchanged`);
       console.log('✅ Canvas state unpacking completed successfully!');
     } catch (error) {
       console.error('❌ Canvas state unpacking failed:', error);
@@ -95,7 +174,7 @@ class CanvasStateUnpacker {
       const processedDocs = await this.unpackRoom(canvasStateFile);
 
       for (const canvasLink of processedDocs.canvasLinks) {
-        const targetRoomName = canvasLink.properties.targetCanvasId;
+        const targetRoomName = canvasLink.targetCanvasId;
         if(!targetRoomName) continue;
         this.unreferencedRoomDirs.delete(path.join(currentRoomPath, targetRoomName));
         if (!this.referencedRooms.has(targetRoomName)) {
@@ -146,7 +225,14 @@ class CanvasStateUnpacker {
     try {
       // Read and parse this room's canvas state
       const canvasStateContent = fs.readFileSync(canvasStateFilePath, 'utf8');
-      const canvasState = JSON.parse(canvasStateContent);
+      const canvasState = this.migrateCanvasState(JSON.parse(canvasStateContent), canvasStateFilePath);
+
+      for (const doc of canvasState.documents || []) {
+        if (doc.state?.id) this.liveRecordIds.add(doc.state.id);
+      }
+      for (const recordId of Object.keys(canvasState.tombstones || {})) {
+        this.tombstonedRecordIds.add(recordId);
+      }
 
       // Step 1: Process all documents and collect by type
       const processedDocs = {
@@ -155,7 +241,8 @@ class CanvasStateUnpacker {
         canvasStorage: null,
         widgets: [],
         canvasLinks: [],
-        generalObjects: []
+        generalObjects: [],
+        otherRecords: []
       };
 
       // First pass: Extract canvas_storage to get widget storage data
@@ -175,6 +262,10 @@ class CanvasStateUnpacker {
         }
       }
 
+      // Pages keep their fractional index order so the first page (and its directory) is stable
+      processedDocs.pages.sort((a, b) => (a.index < b.index ? -1 : a.index > b.index ? 1 : 0));
+      const getShapeDirectory = this.createShapeDirectoryResolver(canvasState, processedDocs.pages, roomDir);
+
       // Step 2: Generate metadata and storage files for THIS room
       await this.generateCanvasMetadata(processedDocs.document, processedDocs.pages, canvasState, roomDir);
       await this.generateGlobalStorage(processedDocs.canvasStorage, roomDir);
@@ -182,15 +273,20 @@ class CanvasStateUnpacker {
       // Step 3: Generate general object files (arbitrary shapes and assets)
       console.log(`  🔷 Found ${processedDocs.generalObjects.length} general objects in ${roomName}`);
       for (const generalObject of processedDocs.generalObjects) {
-        await this.generateGeneralObject(generalObject, roomDir);
+        const objectDir = generalObject.typeName === 'shape' ? getShapeDirectory(generalObject.id) : roomDir;
+        await this.generateGeneralObject(generalObject, objectDir);
       }
 
+      await this.generateOtherRecords(processedDocs.otherRecords, roomDir);
+
       // Step 4: Generate widget directories in THIS room
       console.log(`  🧩 Found ${processedDocs.widgets.length} widgets in ${roomName}`);
       for (const widget of processedDocs.widgets) {
-        await this.generateWidgetDirectory(widget, roomDir);
+        await this.generateWidgetDirectory(widget, getShapeDirectory(widget.shapeId));
       }
 
+      this.collectStalePageDirectories(processedDocs.pages, roomDir);
+
       // Step 5: Store canvas-link info in target room directories
       if (processedDocs.canvasLinks.length > 0) {
         console.log(`  🔗 Found ${processedDocs.canvasLinks.length} canvas-links in ${roomName}`);
@@ -210,6 +306,93 @@ class CanvasStateUnpacker {
     }
   }
 
+  /**
+   * Bring a snapshot to the schema the scripts write, refusing snapshots from a newer schema and ones with records
+   * that cannot be migrated
+   */
+  migrateCanvasState(canvasState, canvasStateFilePath) {
+    const relativePath = path.relative(this.rootDir, canvasStateFilePath);
+    const { newer } = compareSchema(canvasState.schema);
+    if (newer.length > 0) {
+      const details = newer.map(sequence => `\n    - ${sequence}`).join('');
+      if (!this.allowNewerSchema) {
+        throw new Error(`${relativePath} uses a newer tldraw schema than these scripts support:${details}\n  Update the scripts, or rerun with --allow-newer-schema to unpack it anyway`);
+      }
+      console.warn(`  ⚠️ ${relativePath} uses a newer tldraw schema than these scripts support, unpacking it anyway:${details}`);
+    }
+
+    const { snapshot, migrated, unmigrated } = migrateSnapshot(canvasState);
+    if (unmigrated.length > 0) {
+      const details = unmigrated.map(sequence => `\n    - ${sequence}`).join('');
+      if (!this.allowOlderSchema) {
+        throw new Error(`${relativePath} has records from an older tldraw schema that cannot be migrated:${details}\n  Open and save the canvas in the app to upgrade it, or rerun with --allow-older-schema to unpack it anyway`);
+      }
+      console.warn(`  ⚠️ ${relativePath} has records from an older tldraw schema that cannot be migrated, keeping them at their saved schema version:${details}`);
+    }
+    if (migrated.length > 0) {
+      console.log(`  🔄 Migrated ${migrated.join(', ')} to the current schema`);
+    }
+    return snapshot;
+  }
+
+  /**
+   * Get the directory for a page's shapes: the room directory for the first page, page-{pageId}/ otherwise
+   */
+  getPageDirectory(pageId, pages, roomDir) {
+    if (!pageId || pages.length === 0 || pageId === pages[0].id) {
+      return roomDir;
+    }
+    return path.join(roomDir, `page-${pageId.replace('page:', '')}`);
+  }
+
+  /**
+   * Build a function mapping a shape id to the directory it is unpacked into: the directory of the page
+   * of its top-level ancestor, then one frame-* / group-* directory per frame or group it is nested in.
+   */
+  createShapeDirectoryResolver(canvasState, pages, roomDir) {
+    const shapes = new Map();
+    for (const doc of canvasState.documents || []) {
+      if (doc.state?.typeName === 'shape') {
+        shapes.set(doc.state.id, doc.state);
+      }
+    }
+
+    return (shapeId) => {
+      const ancestors = [];
+      const visited = new Set([shapeId]);
+      let parentId = shapes.get(shapeId)?.parentId;
+      while (shapes.has(parentId) && !visited.has(parentId)) {
+        visited.add(parentId);
+        ancestors.unshift(shapes.get(parentId));
+        parentId = shapes.get(parentId).parentId;
+      }
+
+      const pageDir = this.getPageDirectory(parentId && parentId.startsWith('page:') ? parentId : null, pages, roomDir);
+
+      // Only frames and groups get a directory; a shape attached to any other shape stays at page level
+      // and keeps its parentId
+      if (!ancestors.every(ancestor => containerShapeTypes.includes(ancestor.type))) {
+        return pageDir;
+      }
+      return path.join(pageDir, ...ancestors.map(ancestor => getContainerDirectoryName(ancestor.type, ancestor.id)));
+    };
+  }
+
+  /**
+   * Remember page-* directories of pages that no longer exist (or became the room's first page),
+   * they are removed once the cleanup has moved or deleted their shapes
+   */
+  collectStalePageDirectories(pages, roomDir) {
+    const expectedPageDirs = new Set(pages.slice(1).map(page => this.getPageDirectory(page.id, pages, roomDir)));
+
+    for (const entry of fs.readdirSync(roomDir, { withFileTypes: true })) {
+      const pageDir = path.join(roomDir, entry.name);
+      if (entry.isDirectory() && entry.name.startsWith('page-') && !expectedPageDirs.has(pageDir)) {
+        this.stalePageDirs.add(pageDir);
+      }
+    }
+  }
+
   /**
    * Main document processor - dispatches based on typeName
    */
@@ -225,11 +408,9 @@ class CanvasStateUnpacker {
         return this.processCanvasStorageRecord(state, lastChangedClock);
       case 'shape':
         return this.processShapeRecord(state, lastChangedClock, roomWidgetStorage);
-      case 'asset':
-        return state;
       default:
-        // Ignore other document types (instance, camera, etc.)
-        return null;
+        // Keep every other record type (assets, bindings, custom records, ...) so generate-canvas.js can re-emit it
+        return state;
     }
   }
 
@@ -304,30 +485,12 @@ class CanvasStateUnpacker {
     return {
       type: 'miyagi-widget',
       shapeId,
-      properties: {
-        shapeId: shapeId,
-        widgetId: state.props?.widgetId,
-        templateHandle: state.props?.templateHandle,
-        position: {
-          x: state.x,
-          y: state.y
-        },
-        size: {
-          w: state.props?.w,
-          h: state.props?.h
-        },
-        rotation: state.rotation,
-        opacity: state.opacity,
-        isLocked: state.isLocked,
-        color: state.props?.color,
-        zoomScale: state.props?.zoomScale,
-        meta: state.meta,
-        parentId: state.parentId,
-        index: state.index,
-        lastChangedClock
-      },
+      properties: recordToProperties(widgetPropertiesSchema, state, { lastChangedClock }),
       jsxContent: state.props?.jsxContent || '',
+      templateLanguage: state.props?.templateLanguage === 'tsx' ? 'tsx' : 'jsx',
       htmlContent: state.props?.htmlContent || '',
+      cssContent: state.props?.cssContent || '',
+      sourceFiles: state.props?.sourceFiles || {},
       storage: widgetStorageData,
       lastChangedClock
     };
@@ -340,27 +503,8 @@ class CanvasStateUnpacker {
     return {
       type: 'canvas-link',
       shapeId: state.id,
-      properties: {
-        shapeId: state.id,
-        targetCanvasId: state.props?.targetCanvasId,
-        label: state.props?.label || 'Subcanvas Link',
-        linkType: state.props?.linkType || 'realfile',
-        position: {
-          x: state.x,
-          y: state.y
-        },
-        size: {
-          w: state.props?.w || 200,
-          h: state.props?.h || 100
-        },
-        rotation: state.rotation,
-        opacity: state.opacity,
-        isLocked: state.isLocked,
-        meta: state.meta,
-        parentId: state.parentId,
-        index: state.index,
-        lastChangedClock
-      },
+      targetCanvasId: state.props?.targetCanvasId,
+      state,
       lastChangedClock
     };
   }
@@ -386,8 +530,10 @@ class CanvasStateUnpacker {
         processedDocs.canvasLinks.push(result);
         break;
       default:
-        if (result.typeName === 'shape' || result.typeName === 'asset') {
+        if (result.typeName === 'shape' || result.typeName === 'asset' || result.typeName === 'binding') {
           processedDocs.generalObjects.push(result);
+        } else {
+          processedDocs.otherRecords.push(result);
         }
         break;
     }
@@ -416,7 +562,6 @@ class CanvasStateUnpacker {
         lastChangedClock: page.lastChangedClock
       })),
       schema: documentRecord?.schema || canvasState.schema,
-      generatedAt: new Date().toISOString(),
       clock: documentRecord?.clock || canvasState.clock,
       documentClock: documentRecord?.documentClock || canvasState.documentClock,
       tombstones: documentRecord?.tombstones || canvasState.tombstones || {},
@@ -424,8 +569,9 @@ class CanvasStateUnpacker {
     };
 
     const metadataPath = path.join(canvasDir, 'canvas-metadata.json');
-    fs.writeFileSync(metadataPath, JSON.stringify(metadata, null, 2), 'utf8');
-    console.log(`  📋 Generated: ${path.relative(this.rootDir, metadataPath)}`);
+    if (this.writeFileIfChanged(metadataPath, JSON.stringify(metadata, null, 2))) {
+      console.log(`  📋 Generated: ${path.relative(this.rootDir, metadataPath)}`);
+    }
   }
 
   /**
@@ -435,8 +581,9 @@ class CanvasStateUnpacker {
     const globalStorage = canvasStorageRecord?.globalStorage || {};
     
     const globalStoragePath = path.join(canvasDir, 'global-storage.json');
-    fs.writeFileSync(globalStoragePath, JSON.stringify(globalStorage, null, 2), 'utf8');
-    console.log(`  🌐 Generated: ${path.relative(this.rootDir, globalStoragePath)}`);
+    if (this.writeFileIfChanged(globalStoragePath, JSON.stringify(globalStorage, null, 2))) {
+      console.log(`  🌐 Generated: ${path.relative(this.rootDir, globalStoragePath)}`);
+    }
   }
 
   /**
@@ -449,35 +596,89 @@ class CanvasStateUnpacker {
     // Track this widget to prevent cleanup
     this.processedWidgets.add(path.relative(this.rootDir, widgetDir));
 
+    // A widget directory deleted as a whole is unpacked again, files deleted from a widget that is still there are local edits
+    const keepLocalDeletions = fs.existsSync(widgetDir);
+
     // Create widget directory
-    if (!fs.existsSync(widgetDir)) {
-      fs.mkdirSync(widgetDir, { recursive: true });
-    }
+    this.makeDirectory(widgetDir);
+
+    const changedFiles = [];
+    const writeWidgetFile = (fileName, content) => {
+      if (this.writeWidgetFile(path.join(widgetDir, fileName), content, { keepLocalDeletions })) changedFiles.push(fileName);
+    };
 
     // Generate properties.json
-    fs.writeFileSync(
-      path.join(widgetDir, 'properties.json'),
-      JSON.stringify(widget.properties, null, 2),
-      'utf8'
-    );
+    writeWidgetFile('properties.json', JSON.stringify(widget.properties, null, 2));
 
-    // Generate template.jsx
-    fs.writeFileSync(path.join(widgetDir, 'template.jsx'), widget.jsxContent, 'utf8');
+    // Generate template.jsx or template.tsx, removing the one for the other language
+    const templateFileName = `template.${widget.templateLanguage}`;
+    const staleTemplateFileName = widget.templateLanguage === 'tsx' ? 'template.jsx' : 'template.tsx';
+    writeWidgetFile(templateFileName, widget.jsxContent);
+    this.removeFile(path.join(widgetDir, staleTemplateFileName));
 
-    // Generate template.html
-    fs.writeFileSync(path.join(widgetDir, 'template.html'), widget.htmlContent, 'utf8');
+    // Generate template.html, keeping the sidecar source map URL compile.js added (generate leaves it out of the snapshot)
+    writeWidgetFile('template.html', this.withLocalSourceMapUrl(path.join(widgetDir, 'template.html'), widget.htmlContent));
+
+    // Generate template.css, or remove it when the widget no longer has a stylesheet
+    const cssPath = path.join(widgetDir, 'template.css');
+    if (widget.cssContent) {
+      writeWidgetFile('template.css', widget.cssContent);
+    } else {
+      this.removeFile(cssPath);
+    }
 
     // Generate storage.json (widget-specific storage)
-    fs.writeFileSync(
-      path.join(widgetDir, 'storage.json'),
-      JSON.stringify(widget.storage, null, 2),
-      'utf8'
-    );
+    writeWidgetFile('storage.json', JSON.stringify(widget.storage, null, 2));
+
+    // Generate sibling modules and remove ones that are no longer part of the widget
+    changedFiles.push(...this.writeWidgetSourceFiles(widget.sourceFiles, widgetDir, { keepLocalDeletions }));
+
+    if (changedFiles.length > 0) {
+      console.log(`    🧩 Generated: ${path.relative(this.rootDir, widgetDir)}/ (${changedFiles.join(', ')})`);
+    }
+  }
+
+  /**
+   * Return the local template.html when it only differs from htmlContent by its sidecar sourceMappingURL line
+   */
+  withLocalSourceMapUrl(htmlPath, htmlContent) {
+    if (!fs.existsSync(htmlPath)) return htmlContent;
+    const localHtml = fs.readFileSync(htmlPath, 'utf8');
+    const withoutSidecarUrl = localHtml.replace(/^[ \t]*\/\/# sourceMappingURL=(?!data:).*\n/gm, '');
+    return withoutSidecarUrl !== localHtml && withoutSidecarUrl === htmlContent ? localHtml : htmlContent;
+  }
+
+  /**
+   * Write a widget's sourceFiles map (relative path -> content) into its directory
+   * @param {object} [options] - Passed on to writeWidgetFile()
+   * @returns {string[]} The relative paths of the files that were written
+   */
+  writeWidgetSourceFiles(sourceFiles, widgetDir, options = {}) {
+    const resolvedWidgetDir = path.resolve(widgetDir);
+    const expectedFiles = new Set();
+    const changedFiles = [];
 
-    console.log(`    🧩 Generated: ${path.relative(this.rootDir, widgetDir)}/`);
+    for (const [relativePath, content] of Object.entries(sourceFiles)) {
+      const filePath = path.resolve(widgetDir, relativePath);
+      if (!filePath.startsWith(resolvedWidgetDir + path.sep)) {
+        console.warn(`⚠️ Skipping source file outside widget directory: ${relativePath}`);
+        continue;
+      }
+
+      this.makeDirectory(path.dirname(filePath));
+      if (this.writeWidgetFile(filePath, content, options)) changedFiles.push(relativePath);
+      expectedFiles.add(filePath);
+    }
+
+    for (const filePath of this.findWidgetSourceFiles(resolvedWidgetDir)) {
+      if (!expectedFiles.has(filePath) && this.removeFile(filePath)) {
+        console.log(`    🗑️  Removed old source file: ${path.relative(this.rootDir, filePath)}`);
+      }
+    }
+    return changedFiles;
   }
 
-  // Generate a general object file for unknown shape types and image assets
+  // Generate a general object file for unknown shape types, image assets and bindings (e.g. arrows attached to widgets)
   async generateGeneralObject(objectState, canvasDir) {
     let objectIdClean, objectFileName;
     
@@ -487,30 +688,46 @@ class CanvasStateUnpacker {
     } else if (objectState.typeName === 'asset') {
       objectIdClean = objectState.id.replace('asset:', '');
       objectFileName = `general-asset-${objectState.type}-${objectIdClean}.json`;
+    } else if (objectState.typeName === 'binding') {
+      objectIdClean = objectState.id.replace('binding:', '');
+      objectFileName = `general-binding-${objectState.type}-${objectIdClean}.json`;
     } else {
       console.warn(`Unknown object type: ${objectState.typeName}`);
       return;
     }
     
     const objectFilePath = path.join(canvasDir, objectFileName);
+    this.makeDirectory(canvasDir);
 
     this.processedGeneralObjects.add(path.relative(this.rootDir, objectFilePath));
 
-    const objectData = {
-      ...objectState,
-      generatedAt: new Date().toISOString()
-    };
+    if (this.writeFileIfChanged(objectFilePath, JSON.stringify(objectState, null, 2))) {
+      const icon = { asset: '📎', binding: '📌' }[objectState.typeName] || '🔷';
+      console.log(`    ${icon} Generated: ${path.relative(this.rootDir, objectFilePath)}`);
+    }
+  }
+
+  /**
+   * Write the records of any other type to general-records.json, or remove it when there are none
+   */
+  async generateOtherRecords(otherRecords, canvasDir) {
+    const recordsPath = path.join(canvasDir, 'general-records.json');
+    if (otherRecords.length === 0) {
+      this.removeFile(recordsPath);
+      return;
+    }
 
-    fs.writeFileSync(objectFilePath, JSON.stringify(objectData, null, 2), 'utf8');
-    const icon = objectState.typeName === 'asset' ? '📎' : '🔷';
-    console.log(`    ${icon} Generated: ${path.relative(this.rootDir, objectFilePath)}`);
+    const sortedRecords = [...otherRecords].sort((a, b) => String(a.id).localeCompare(String(b.id)));
+    if (this.writeFileIfChanged(recordsPath, JSON.stringify(sortedRecords, null, 2))) {
+      console.log(`  🗃️  Generated: ${path.relative(this.rootDir, recordsPath)} (${otherRecords.length} records)`);
+    }
   }
 
   /**
    * Store canvas-link information in the target room directory
    */
   async storeCanvasLinkInfo(canvasLink, parentCanvasDir) {
-    const targetCanvasId = canvasLink.properties.targetCanvasId;
+    const targetCanvasId = canvasLink.targetCanvasId;
     if (!targetCanvasId) {
       console.warn(`⚠️ Canvas-link ${canvasLink.shapeId} has no targetCanvasId`);
       return;
@@ -526,26 +743,269 @@ class CanvasStateUnpacker {
 
     // Create canvas-link-info.json in the target room directory
     const parentRoomName = path.basename(parentCanvasDir);
-    const canvasLinkInfo = {
+    const canvasLinkInfo = recordToProperties(canvasLinkInfoSchema, canvasLink.state, {
       parentCanvasId: parentRoomName,
-      linkShapeId: canvasLink.shapeId,
-      position: canvasLink.properties.position,
-      size: canvasLink.properties.size,
-      label: canvasLink.properties.label,
-      linkType: canvasLink.properties.linkType,
-      rotation: canvasLink.properties.rotation,
-      opacity: canvasLink.properties.opacity,
-      isLocked: canvasLink.properties.isLocked,
-      meta: canvasLink.properties.meta,
-      parentId: canvasLink.properties.parentId,
-      index: canvasLink.properties.index,
-      lastChangedClock: canvasLink.properties.lastChangedClock
-    };
+      lastChangedClock: canvasLink.lastChangedClock
+    });
 
     const canvasLinkInfoPath = path.join(targetRoomDir, 'canvas-link-info.json');
-    fs.writeFileSync(canvasLinkInfoPath, JSON.stringify(canvasLinkInfo, null, 2), 'utf8');
-    
-    console.log(`    🔗 Generated: ${path.relative(this.rootDir, canvasLinkInfoPath)}`);
+    if (this.writeFileIfChanged(canvasLinkInfoPath, JSON.stringify(canvasLinkInfo, null, 2))) {
+      console.log(`    🔗 Generated: ${path.relative(this.rootDir, canvasLinkInfoPath)}`);
+    }
+  }
+
+  /**
+   * Write a file unless it already has exactly this content, so unchanged files keep their mtime and stay out of diffs
+   * @returns {boolean} Whether the file was written
+   */
+  writeFileIfChanged(filePath, content) {
+    const exists = fs.existsSync(filePath);
+    if (exists && fs.readFileSync(filePath, 'utf8') === content) {
+      this.unchangedFileCount++;
+      return false;
+    }
+    if (this.dryRun) {
+      this.plan[exists ? 'overwrite' : 'create'].push(filePath);
+    } else {
+      fs.writeFileSync(filePath, content, 'utf8');
+    }
+    this.writtenFileCount++;
+    return true;
+  }
+
+  makeDirectory(dir) {
+    if (!this.dryRun) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+  }
+
+  // Remove a file that an unpacked record does not have (e.g. template.css of a widget that dropped its styles).
+  // Files with local edits are kept and reported, since the incoming canvas-state.json has no version of them
+  // (with --overwrite-local-edits they go to the trash). Returns whether the file was removed.
+  removeFile(filePath) {
+    if (!fs.existsSync(filePath)) return false;
+
+    const hasLocalEdits = this.hasLocalEdits(filePath, fs.readFileSync(filePath, 'utf8'));
+    if (hasLocalEdits && !this.overwriteLocalEdits) {
+      this.conflicts.push({ filePath, incomingPath: null });
+      return false;
+    }
+
+    if (this.dryRun) {
+      this.plan.remove.push(filePath);
+    } else if (hasLocalEdits) {
+      this.moveLocalEditToTrash(filePath, 'Removed by unpack (--overwrite-local-edits)');
+    } else {
+      fs.rmSync(filePath, { force: true });
+    }
+    return true;
+  }
+
+  /**
+   * List the files git reports as modified (against HEAD) or untracked, or null when git is not available.
+   * Only used for widget files without a synced hash.
+   * @returns {Set<string>|null} Absolute paths
+   */
+  findLocallyEditedFiles() {
+    try {
+      const gitOptions = { cwd: this.rootDir, encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] };
+      const topLevel = execFileSync('git', ['rev-parse', '--show-toplevel'], gitOptions).trim();
+      const entries = execFileSync('git', ['status', '--porcelain', '-z', '--untracked-files=all'], gitOptions).split('\0');
+
+      const editedFiles = new Set();
+      for (let i = 0; i < entries.length; i++) {
+        const entry = entries[i];
+        if (entry.length < 4) continue;
+        editedFiles.add(path.join(topLevel, entry.slice(3)));
+        // Renames and copies are followed by their original path, which a rename deleted
+        if (/[RC]/.test(entry.slice(0, 2))) {
+          i++;
+          if (entry.slice(0, 2).includes('R')) editedFiles.add(path.join(topLevel, entries[i]));
+        }
+      }
+      return editedFiles;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Whether a widget file was edited since it was last synced with canvas-state.json
+   * @param {string} filePath - The widget file
+   * @param {string} content - Its content on disk
+   */
+  hasLocalEdits(filePath, content) {
+    const syncedHash = this.syncedFileHashes[getSyncedFileKey(this.rootDir, filePath)];
+    if (syncedHash) {
+      return hashContent(content) !== syncedHash;
+    }
+    return this.locallyEditedFiles !== null && this.locallyEditedFiles.has(path.resolve(filePath));
+  }
+
+  /**
+   * Whether a widget file missing on disk was deleted since it was last synced with canvas-state.json
+   */
+  isLocallyDeleted(filePath) {
+    if (this.syncedFileHashes[getSyncedFileKey(this.rootDir, filePath)]) {
+      return true;
+    }
+    return this.locallyEditedFiles !== null && this.locallyEditedFiles.has(path.resolve(filePath));
+  }
+
+  moveLocalEditToTrash(filePath, reason) {
+    this.trashBatchId = this.trashBatchId || createBatchId();
+    const item = moveToTrash(filePath, { rootDir: this.rootDir, batchId: this.trashBatchId, source: 'unpack', reason });
+    console.log(`    ♻️  Moved local edit to the trash: ${item.originalPath} (${item.id})`);
+  }
+
+  /**
+   * Write a widget file unless that would overwrite local edits. Edited or deleted files the incoming
+   * canvas-state.json did not change are left alone. A conflicting incoming version is saved under
+   * .miyagi/conflicts/ and the local file is kept (or trashed with --overwrite-local-edits).
+   * @param {object} [options]
+   * @param {boolean} [options.keepLocalDeletions] - Treat a missing file that was synced before as deleted locally
+   * @returns {boolean} Whether the file was written
+   */
+  writeWidgetFile(filePath, content, { keepLocalDeletions = false } = {}) {
+    const syncedFileKey = getSyncedFileKey(this.rootDir, filePath);
+    const localContent = fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : null;
+    const locallyDeleted = localContent === null && keepLocalDeletions && this.isLocallyDeleted(filePath);
+    if (locallyDeleted || (localContent !== null && localContent !== content && this.hasLocalEdits(filePath, localContent))) {
+      if (this.syncedFileHashes[syncedFileKey] === hashContent(content)) {
+        if (locallyDeleted) this.keptDeletions.add(syncedFileKey);
+        this.unchangedFileCount++;
+        return false; // Only changed locally
+      }
+      if (!this.overwriteLocalEdits) {
+        const incomingPath = path.join(this.conflictsDir, path.relative(this.rootDir, filePath));
+        this.conflicts.push({ filePath, incomingPath, locallyDeleted });
+        if (!this.dryRun) {
+          fs.mkdirSync(path.dirname(incomingPath), { recursive: true });
+          fs.writeFileSync(incomingPath, content, 'utf8');
+        }
+        return false;
+      }
+      if (!this.dryRun && !locallyDeleted) {
+        this.moveLocalEditToTrash(filePath, 'Overwritten by unpack (--overwrite-local-edits)');
+      }
+    }
+
+    this.syncedFileHashes[syncedFileKey] = hashContent(content);
+    return this.writeFileIfChanged(filePath, content);
+  }
+
+  reportConflicts() {
+    if (this.conflicts.length === 0) return;
+
+    console.warn(`\n⚠️ Kept ${this.conflicts.length} widget files with local edits that canvas-state.json would overwrite or remove:`);
+    for (const { filePath, incomingPath, locallyDeleted } of this.conflicts) {
+      console.warn(`  - ${path.relative(this.rootDir, filePath)}${locallyDeleted ? ' (deleted locally)' : ''}`);
+      console.warn(`      incoming version: ${incomingPath ? path.relative(this.rootDir, incomingPath) : 'none, canvas-state.json does not have this file'}`);
+    }
+    console.warn('   Merge the incoming changes into your files before committing (your version will be generated into');
+    console.warn('   canvas-state.json), or rerun with --overwrite-local-edits to take the incoming versions.');
+  }
+
+  /**
+   * Stage the removal of a widget directory, general object file or room directory found by the cleanup
+   */
+  stageRemoval(target, message) {
+    console.log(`  🗑️  ${message}`);
+    this.stagedRemovals.push({ target, message });
+  }
+
+  isStagedForRemoval(target) {
+    return this.stagedRemovals.some(({ target: staged }) => target === staged || target.startsWith(staged + path.sep));
+  }
+
+  /**
+   * Whether a directory will be empty once the staged removals (and, in a dry run, the planned writes) are applied
+   */
+  willBeEmpty(dir) {
+    const remaining = fs.readdirSync(dir).filter(name => !this.isStagedForRemoval(path.join(dir, name)));
+    const plannedFiles = [...this.plan.create, ...this.plan.overwrite];
+    return remaining.length === 0 && !plannedFiles.some(filePath => filePath.startsWith(dir + path.sep));
+  }
+
+  /**
+   * Apply the staged removals: list them in a dry run, ask first with --confirm-deletes
+   */
+  async applyStagedRemovals() {
+    if (this.stagedRemovals.length === 0) return;
+
+    if (this.dryRun) {
+      this.plan.remove.push(...this.stagedRemovals.map(({ target }) => target));
+      return;
+    }
+
+    if (this.confirmDeletes && !(await this.confirmRemovals())) {
+      console.warn(`⚠️ Kept ${this.stagedRemovals.length} files and directories, nothing was removed`);
+      return;
+    }
+
+    // Directories left empty by earlier removals are simply deleted, everything else goes to the trash
+    const batchId = createBatchId();
+    let trashedCount = 0;
+    for (const { target, message } of this.stagedRemovals) {
+      try {
+        if (!fs.existsSync(target)) continue;
+        if (fs.statSync(target).isDirectory() && fs.readdirSync(target).length === 0) {
+          fs.rmdirSync(target);
+        } else {
+          moveToTrash(target, { rootDir: this.rootDir, batchId, source: 'unpack', reason: message });
+          trashedCount++;
+        }
+      } catch (error) {
+        console.error(`❌ Failed to remove ${target}:`, error.message);
+      }
+    }
+
+    if (trashedCount > 0) {
+      console.log(`♻️  Moved ${trashedCount} removed items to .miyagi/trash (restore with: node .miyagi/trash.js list)`);
+    }
+  }
+
+  async confirmRemovals() {
+    console.log(`\n⚠️ About to remove ${this.stagedRemovals.length} files and directories:`);
+    this.stagedRemovals.forEach(({ message }) => console.log(`  - ${message}`));
+
+    if (!process.stdin.isTTY) {
+      console.warn('⚠️ --confirm-deletes needs an interactive terminal');
+      return false;
+    }
+
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    const answer = await new Promise(resolve => rl.question('Remove them? [y/N] ', resolve));
+    rl.close();
+    return answer.trim().toLowerCase() === 'y' || answer.trim().toLowerCase() === 'yes';
+  }
+
+  printPlan() {
+    const sections = [
+      ['create', '➕ Would create'],
+      ['overwrite', '✏️  Would overwrite'],
+      ['remove', '🗑️  Would remove']
+    ];
+
+    console.log('\n📋 Dry run plan:');
+    for (const [key, label] of sections) {
+      console.log(`${label} (${this.plan[key].length}):`);
+      this.plan[key].forEach(target => console.log(`  - ${path.relative(this.rootDir, target)}`));
+    }
+  }
+
+  /**
+   * Decide whether a widget directory or general object file that was not unpacked should be removed.
+   * Returns the reason for removing it, or null to keep it.
+   */
+  getRemovalReason(recordId) {
+    if (recordId && this.liveRecordIds.has(recordId)) {
+      return 'moved'; // Unpacked to another directory (e.g. onto another page)
+    }
+    if (recordId && this.tombstonedRecordIds.has(recordId)) {
+      return 'deleted';
+    }
+    return null;
   }
 
   // Clean up old widget directories that are no longer in the canvas state
@@ -558,8 +1018,12 @@ class CanvasStateUnpacker {
     for (const shapeDir of allShapeDirs) {
       const relativePath = path.relative(this.rootDir, shapeDir);
       if (!this.processedWidgets.has(relativePath)) {
-        console.log(`  🗑️  Removing old widget: ${relativePath}`);
-        fs.rmSync(shapeDir, { recursive: true, force: true });
+        const reason = this.getRemovalReason(this.readWidgetShapeId(shapeDir));
+        if (!reason) {
+          console.warn(`  ⚠️ Keeping widget that is neither in canvas-state.json nor tombstoned: ${relativePath}`);
+          continue;
+        }
+        this.stageRemoval(shapeDir, `Removing ${reason} widget: ${relativePath}`);
         cleanedCount++;
       }
     }
@@ -567,6 +1031,19 @@ class CanvasStateUnpacker {
     console.log(`🧹 Cleaned up ${cleanedCount} old widget directories`);
   }
 
+  /**
+   * Read the shape id of a widget directory from properties.json, falling back to the directory name
+   */
+  readWidgetShapeId(shapeDir) {
+    try {
+      const properties = JSON.parse(fs.readFileSync(path.join(shapeDir, 'properties.json'), 'utf8'));
+      if (properties.shapeId) return properties.shapeId;
+    } catch (error) {
+      // Missing or invalid properties.json
+    }
+    return `shape:${path.basename(shapeDir).slice('widget-'.length)}`;
+  }
+
   // Clean up old general object files that are no longer in the canvas state
   async cleanupOldGeneralObjects() {    
     let cleanedCount = 0;
@@ -575,8 +1052,19 @@ class CanvasStateUnpacker {
     for (const objectFile of allGeneralObjectFiles) {
       const relativePath = path.relative(this.rootDir, objectFile);
       if (!this.processedGeneralObjects.has(relativePath)) {
-        console.log(`  🗑️  Removing old general object: ${relativePath}`);
-        fs.rmSync(objectFile, { force: true });
+        let recordId = null;
+        try {
+          recordId = JSON.parse(fs.readFileSync(objectFile, 'utf8')).id;
+        } catch (error) {
+          // Unreadable files are kept, like files of unknown records
+        }
+
+        const reason = this.getRemovalReason(recordId);
+        if (!reason) {
+          console.warn(`  ⚠️ Keeping general object that is neither in canvas-state.json nor tombstoned: ${relativePath}`);
+          continue;
+        }
+        this.stageRemoval(objectFile, `Removing ${reason} general object: ${relativePath}`);
         cleanedCount++;
       }
     }
@@ -584,6 +1072,36 @@ class CanvasStateUnpacker {
     console.log(`🧹 Cleaned up ${cleanedCount} old general object files`);
   }
 
+  // Remove frame-* and group-* directories left empty by the cleanup, innermost first
+  async cleanupEmptyContainerDirectories(dir) {
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      if (!entry.isDirectory() || entry.name.startsWith('.') || entry.name.startsWith('widget-') || entry.name === 'node_modules') {
+        continue;
+      }
+
+      const childDir = path.join(dir, entry.name);
+      if (this.isStagedForRemoval(childDir)) continue;
+      await this.cleanupEmptyContainerDirectories(childDir);
+
+      if (containerDirectoryPattern.test(entry.name) && this.willBeEmpty(childDir)) {
+        this.stageRemoval(childDir, `Removing empty ${entry.name.split('-')[0]} directory: ${path.relative(this.rootDir, childDir)}`);
+      }
+    }
+  }
+
+  // Remove page-* directories of pages that no longer exist, unless they still hold files that were kept
+  async cleanupStalePageDirectories() {
+    for (const pageDir of this.stalePageDirs) {
+      if (!fs.existsSync(pageDir)) continue;
+
+      if (!this.willBeEmpty(pageDir)) {
+        console.warn(`  ⚠️ Keeping page directory of a removed page, it still has files: ${path.relative(this.rootDir, pageDir)}`);
+        continue;
+      }
+      this.stageRemoval(pageDir, `Removing old page directory: ${path.relative(this.rootDir, pageDir)}`);
+    }
+  }
+
   // Clean up room directories that are not referenced by any canvas-links in any canvas-state.json
   async cleanupUnreferencedRooms() {    
     let cleanedCount = 0;
@@ -593,13 +1111,8 @@ class CanvasStateUnpacker {
     
     for (const roomDir of this.unreferencedRoomDirs) {
       const roomName = path.basename(roomDir);
-      console.log(`  🗑️  Removing unreferenced room: ${roomName} at ${roomDir}`);
-      try {
-        fs.rmSync(roomDir, { recursive: true, force: true });
-        cleanedCount++;
-      } catch (error) {
-        console.error(`❌ Failed to remove room directory ${roomDir}:`, error.message);
-      }
+      this.stageRemoval(roomDir, `Removing unreferenced room: ${roomName} at ${roomDir}`);
+      cleanedCount++;
     }
     
     console.log(`🏠 Cleaned up ${cleanedCount} unreferenced room directories`);
@@ -629,14 +1142,36 @@ class CanvasStateUnpacker {
   }
 
   /**
-   * Find all general-shape-*.json and general-asset-*.json files recursively
+   * Find all .js/.jsx/.ts/.tsx/.css modules in a widget directory, excluding the template files
+   */
+  findWidgetSourceFiles(widgetDir, currentDir = widgetDir) {
+    const sourceFiles = [];
+    if (!fs.existsSync(currentDir)) {
+      return sourceFiles; // A new widget in a dry run, its directory was not created
+    }
+
+    const entries = fs.readdirSync(currentDir, { withFileTypes: true });
+    for (const entry of entries) {
+      const fullPath = path.join(currentDir, entry.name);
+      if (entry.isDirectory() && !entry.name.startsWith('.') && entry.name !== 'node_modules') {
+        sourceFiles.push(...this.findWidgetSourceFiles(widgetDir, fullPath));
+      } else if (entry.isFile() && /\.([jt]sx?|css)$/.test(entry.name) && !(currentDir === widgetDir && entry.name.startsWith('template.'))) {
+        sourceFiles.push(fullPath);
+      }
+    }
+
+    return sourceFiles;
+  }
+
+  /**
+   * Find all general-shape-*.json, general-asset-*.json and general-binding-*.json files recursively
    */
   findGeneralObjectFiles(dir) {
     const objectFiles = [];
     
     const entries = fs.readdirSync(dir, { withFileTypes: true });
     for (const entry of entries) {
-      if (entry.isFile() && (entry.name.startsWith('general-shape-') || entry.name.startsWith('general-asset-')) && entry.name.endsWith('.json')) {
+      if (entry.isFile() && /^general-(shape|asset|binding)-.+\.json$/.test(entry.name)) {
         objectFiles.push(path.join(dir, entry.name));
       } else if (entry.isDirectory() && !entry.name.startsWith('.')) {
         objectFiles.push(...this.findGeneralObjectFiles(path.join(dir, entry.name)));
@@ -0,0 +1,338 @@
+#!/usr/bin/env node
+
+/**
+ * Canvas State Validation Script
+ *
+ * Checks that a canvas-state.json is a valid tldraw RoomSnapshot before it is committed:
+ * - every record has an id matching its typeName, ids are unique and clocks are consistent
+ * - record shapes per type, for the schema sequence versions these rules were written for
+ * - fractional index strings of pages and shapes
+ * - referential integrity: shape parents, binding endpoints, asset references, tombstones
+ *
+ * Every violation names the file in the room directory that produced the record.
+ * Used by generate-canvas.js before writing, and as a command:
+ *
+ * Usage: node validate-canvas.js [roomDir...]   (defaults to every room in the working directory)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { isValidIndex } = require('./fractional-index.js');
+const { findShapeContainers } = require('./room-layout.js');
+
+// Required fields per record type, keyed by schema sequence ('type?' marks an optional field). Rules only apply
+// when the snapshot declares the sequence version they were written for: other versions may have migrated the record shape.
+const recordRules = {
+  'com.tldraw.document': { version: 2, fields: { gridSize: 'number', name: 'string' } },
+  'com.tldraw.page': { version: 1, fields: { name: 'string', index: 'string' } },
+  'com.tldraw.shape': {
+    version: 4,
+    fields: { type: 'string', parentId: 'string', index: 'string', x: 'number', y: 'number', rotation: 'number', isLocked: 'boolean', opacity: 'number', props: 'object', meta: 'object' }
+  },
+  'com.tldraw.shape.miyagi-widget': {
+    version: 0,
+    props: { w: 'number', h: 'number', widgetId: 'string', templateHandle: 'string?', htmlContent: 'string', jsxContent: 'string' }
+  },
+  'com.tldraw.shape.canvas-link': { version: 0, props: { w: 'number', h: 'number', targetCanvasId: 'string' } },
+  'com.tldraw.shape.geo': { version: 12, props: { geo: 'string', w: 'number', h: 'number' } },
+  'com.tldraw.shape.frame': { version: 1, props: { w: 'number', h: 'number' } },
+  'com.tldraw.binding': { version: 0, fields: { type: 'string', fromId: 'string', toId: 'string', props: 'object' } },
+  'com.tldraw.binding.arrow': { version: 1, props: { terminal: 'string' } }
+};
+
+function describeType(value) {
+  if (value === null) return 'null';
+  return Array.isArray(value) ? 'array' : typeof value;
+}
+
+// Check the fields of an object against a { name: type } map
+function checkFields(object, fields, label, report) {
+  for (const [name, rule] of Object.entries(fields)) {
+    const optional = rule.endsWith('?');
+    const type = optional ? rule.slice(0, -1) : rule;
+    const actual = describeType(object?.[name]);
+    if (actual === 'undefined') {
+      if (!optional) report(`missing ${label}${name}`);
+    } else if (actual !== type) {
+      report(`${label}${name} should be a ${type}, got ${actual}`);
+    }
+  }
+}
+
+// Check a record against the rules of its schema sequence, if the snapshot uses the version they were written for
+function checkRecordRules(state, sequenceId, sequences, report) {
+  const rules = recordRules[sequenceId];
+  if (!rules || sequences[sequenceId] !== rules.version) return;
+
+  if (rules.fields) checkFields(state, rules.fields, '', report);
+  if (rules.props) checkFields(state.props, rules.props, 'props.', report);
+}
+
+/**
+ * Find the file each record of a room was generated from, keyed by record id.
+ * Mirrors the layout written by unpack-canvas-state.js.
+ */
+function findRecordSources(roomDir) {
+  const sources = new Map();
+  const relative = (file) => path.relative(process.cwd(), file) || '.';
+
+  sources.set('document:document', relative(path.join(roomDir, 'canvas-metadata.json')));
+  sources.set('canvas_storage:main', relative(path.join(roomDir, 'global-storage.json')));
+
+  for (const { dir: containerDir } of findShapeContainers(roomDir)) {
+    for (const entry of fs.readdirSync(containerDir, { withFileTypes: true })) {
+      const fullPath = path.join(containerDir, entry.name);
+
+      if (entry.isDirectory() && entry.name.startsWith('widget-')) {
+        let shapeId = `shape:${entry.name.slice('widget-'.length)}`;
+        try {
+          shapeId = JSON.parse(fs.readFileSync(path.join(fullPath, 'properties.json'), 'utf8')).shapeId || shapeId;
+        } catch (error) {
+          // Fall back to the directory name
+        }
+        sources.set(shapeId, relative(path.join(fullPath, 'properties.json')));
+      } else if (entry.isFile() && /^general-(shape|asset|binding)-.+\.json$/.test(entry.name)) {
+        try {
+          sources.set(JSON.parse(fs.readFileSync(fullPath, 'utf8')).id, relative(fullPath));
+        } catch (error) {
+          // Unreadable files cannot have produced a record
+        }
+      }
+    }
+  }
+
+  for (const entry of fs.readdirSync(roomDir, { withFileTypes: true })) {
+    const linkInfoPath = path.join(roomDir, entry.name, 'canvas-link-info.json');
+    if (entry.isDirectory() && entry.name.startsWith('room-') && fs.existsSync(linkInfoPath)) {
+      try {
+        const linkInfo = JSON.parse(fs.readFileSync(linkInfoPath, 'utf8'));
+        sources.set(linkInfo.linkShapeId || `shape:link-to-${entry.name}`, relative(linkInfoPath));
+      } catch (error) {
+        // Unreadable files cannot have produced a record
+      }
+    }
+  }
+
+  return sources;
+}
+
+/**
+ * Validate a RoomSnapshot. Returns a list of { file, recordId, message } violations, empty when valid.
+ * Records without a known source file are attributed to fallbackFile (canvas-metadata.json for pages and
+ * general-records.json for other records when a room directory is given).
+ */
+function validateRoomSnapshot(snapshot, { roomDir = null, fallbackFile = 'canvas-state.json' } = {}) {
+  const violations = [];
+  const sources = roomDir ? findRecordSources(roomDir) : new Map();
+  const relative = (file) => path.relative(process.cwd(), file) || '.';
+
+  const sourceFor = (state) => {
+    if (sources.has(state?.id)) return sources.get(state.id);
+    if (!roomDir) return fallbackFile;
+    if (state?.typeName === 'page') return relative(path.join(roomDir, 'canvas-metadata.json'));
+    return relative(path.join(roomDir, 'general-records.json'));
+  };
+  const reporterFor = (state) => (message) => {
+    violations.push({ file: sourceFor(state), recordId: state?.id || null, message });
+  };
+
+  const reportSnapshot = (message) => violations.push({ file: roomDir ? relative(path.join(roomDir, 'canvas-metadata.json')) : fallbackFile, recordId: null, message });
+
+  if (!snapshot || typeof snapshot !== 'object') {
+    reportSnapshot('snapshot is not an object');
+    return violations;
+  }
+  if (!Array.isArray(snapshot.documents)) {
+    reportSnapshot('documents should be an array');
+    return violations;
+  }
+  if (!Number.isInteger(snapshot.clock) || snapshot.clock < 0) {
+    reportSnapshot('clock should be a non-negative integer');
+  }
+  if (describeType(snapshot.tombstones) !== 'object') {
+    reportSnapshot('tombstones should be an object');
+  }
+
+  const sequences = snapshot.schema?.sequences;
+  if (describeType(sequences) !== 'object') {
+    reportSnapshot('schema.sequences should be an object');
+    return violations;
+  }
+
+  // First pass: collect records by id
+  const records = new Map();
+  for (const doc of snapshot.documents) {
+    const state = doc?.state;
+    const report = reporterFor(state);
+
+    if (describeType(state) !== 'object' || typeof state.id !== 'string' || typeof state.typeName !== 'string') {
+      report('record should have a string id and typeName');
+      continue;
+    }
+    if (!state.id.startsWith(`${state.typeName}:`)) {
+      report(`id should start with '${state.typeName}:'`);
+    }
+    if (records.has(state.id)) {
+      report('duplicate record id');
+      continue;
+    }
+    if (!Number.isInteger(doc.lastChangedClock) || doc.lastChangedClock < 0 || doc.lastChangedClock > snapshot.clock) {
+      report(`lastChangedClock should be an integer between 0 and the room clock (${snapshot.clock}), got ${doc.lastChangedClock}`);
+    }
+    records.set(state.id, state);
+  }
+
+  const recordsOfType = (typeName) => Array.from(records.values()).filter(state => state.typeName === typeName);
+  if (recordsOfType('document').length !== 1) {
+    reportSnapshot(`expected exactly one document record, found ${recordsOfType('document').length}`);
+  }
+  if (recordsOfType('page').length === 0) {
+    reportSnapshot('expected at least one page record');
+  }
+
+  // Second pass: per-type rules and referential integrity
+  for (const state of records.values()) {
+    const report = reporterFor(state);
+    const typeSequence = `com.tldraw.${state.typeName}`;
+    checkRecordRules(state, typeSequence, sequences, report);
+
+    if (state.typeName === 'page' && !isValidIndex(state.index)) {
+      report(`invalid index '${state.index}'`);
+    }
+
+    // The server migrates shapes, bindings and assets per subtype, so each subtype needs its own sequence
+    if (state.typeName === 'shape' || state.typeName === 'binding' || state.typeName === 'asset') {
+      const subtypeSequence = `${typeSequence}.${state.type}`;
+      if (sequences[subtypeSequence] === undefined) {
+        report(`${state.typeName} type '${state.type}' has no schema sequence ${subtypeSequence}`);
+      } else {
+        checkRecordRules(state, subtypeSequence, sequences, report);
+      }
+    }
+
+    if (state.typeName === 'shape') {
+      const parent = records.get(state.parentId);
+      if (!parent || (parent.typeName !== 'page' && parent.typeName !== 'shape')) {
+        report(`parentId '${state.parentId}' does not reference an existing page or shape`);
+      }
+      if (!isValidIndex(state.index)) {
+        report(`invalid index '${state.index}'`);
+      }
+      if (typeof state.opacity === 'number' && (state.opacity < 0 || state.opacity > 1)) {
+        report(`opacity should be between 0 and 1, got ${state.opacity}`);
+      }
+      const assetId = state.props?.assetId;
+      if (assetId && records.get(assetId)?.typeName !== 'asset') {
+        report(`props.assetId '${assetId}' does not reference an existing asset`);
+      }
+    }
+
+    if (state.typeName === 'binding') {
+      for (const end of ['fromId', 'toId']) {
+        if (records.get(state[end])?.typeName !== 'shape') {
+          report(`${end} '${state[end]}' does not reference an existing shape`);
+        }
+      }
+    }
+  }
+
+  // Shape parent chains must end at a page
+  for (const state of recordsOfType('shape')) {
+    const visited = new Set([state.id]);
+    let parent = records.get(state.parentId);
+    while (parent?.typeName === 'shape') {
+      if (visited.has(parent.id)) {
+        reporterFor(state)('parentId chain contains a cycle');
+        break;
+      }
+      visited.add(parent.id);
+      parent = records.get(parent.parentId);
+    }
+  }
+
+  for (const tombstonedId of Object.keys(snapshot.tombstones || {})) {
+    if (records.has(tombstonedId)) {
+      reporterFor(records.get(tombstonedId))('record is both present and tombstoned');
+    }
+  }
+
+  return violations;
+}
+
+// Print violations grouped per source file
+function printViolations(violations) {
+  const byFile = new Map();
+  for (const violation of violations) {
+    if (!byFile.has(violation.file)) byFile.set(violation.file, []);
+    byFile.get(violation.file).push(violation);
+  }
+
+  for (const [file, fileViolations] of byFile) {
+    console.error(`  ❌ ${file}`);
+    for (const violation of fileViolations) {
+      console.error(`     ${violation.recordId ? `${violation.recordId}: ` : ''}${violation.message}`);
+    }
+  }
+}
+
+// Find every directory holding a canvas-state.json (the root room and room-* subdirectories)
+function findRoomDirectories(dir) {
+  const roomDirs = [];
+  const entries = fs.readdirSync(dir, { withFileTypes: true });
+
+  if (entries.some(entry => entry.isFile() && entry.name === 'canvas-state.json')) {
+    roomDirs.push(dir);
+  }
+  for (const entry of entries) {
+    if (entry.isDirectory() && entry.name.startsWith('room-')) {
+      roomDirs.push(...findRoomDirectories(path.join(dir, entry.name)));
+    }
+  }
+
+  return roomDirs;
+}
+
+/**
+ * Validate the canvas-state.json of the given rooms (or of every room), exiting non-zero on violations
+ */
+function run() {
+  const args = process.argv.slice(2).filter(arg => !arg.startsWith('--'));
+  const roomDirs = args.length > 0 ? args.map(arg => path.resolve(arg)) : findRoomDirectories(process.cwd());
+
+  console.log(`🔍 Validating ${roomDirs.length} canvas-state.json files...`);
+
+  let violationCount = 0;
+  for (const roomDir of roomDirs) {
+    const canvasStatePath = path.join(roomDir, 'canvas-state.json');
+    const relativePath = path.relative(process.cwd(), canvasStatePath);
+
+    let snapshot;
+    try {
+      snapshot = JSON.parse(fs.readFileSync(canvasStatePath, 'utf8'));
+    } catch (error) {
+      console.error(`❌ ${relativePath}: ${error.message}`);
+      violationCount++;
+      continue;
+    }
+
+    const violations = validateRoomSnapshot(snapshot, { roomDir, fallbackFile: relativePath });
+    if (violations.length > 0) {
+      console.error(`❌ ${relativePath}: ${violations.length} violations`);
+      printViolations(violations);
+      violationCount += violations.length;
+    } else {
+      console.log(`✅ ${relativePath}`);
+    }
+  }
+
+  if (violationCount > 0) {
+    console.error(`\n❌ Found ${violationCount} violations`);
+    process.exitCode = 1;
+  } else {
+    console.log('✅ All canvas states are valid');
+  }
+}
+
+module.exports = { validateRoomSnapshot, findRecordSources, printViolations, run };
+
+if (require.main === module) run();
@@ -0,0 +1,186 @@
+/**
+ * Canvas Watch Script - used by `node compile.js --watch`
+ *
+ * Watches widget-* directories (also inside page-* directories) and room files (general-*.json, canvas-metadata.json,
+ * global-storage.json, canvas-link-info.json). After a short debounce it recompiles only
+ * the touched widgets and regenerates canvas-state.json only for the affected rooms.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const CanvasStateGenerator = require('./generate-canvas.js');
+const { compileWidgets, typeCheckTemplates, printProblems } = require('./compile.js');
+const { getRoomDirectory } = require('./room-layout.js');
+
+// Files written by the rebuild itself; changes to them must not trigger another rebuild
+const generatedFileNames = new Set(['template.html', 'template.html.map', 'canvas-state.json']);
+
+// Room-level files whose changes regenerate the room directory they live in
+const roomFilePattern = /^(general-.+\.json|canvas-metadata\.json|global-storage\.json)$/;
+
+class CanvasWatcher {
+  constructor(rootDir = process.cwd(), options = {}) {
+    this.rootDir = rootDir;
+    this.options = options;
+    this.debounceMs = Number(options.debounce) || 200;
+    this.generator = new CanvasStateGenerator(rootDir);
+    this.pendingWidgets = new Set();
+    this.pendingRooms = new Set();
+    this.changedPaths = new Set(); // Logged once per rebuild, editors often emit several events per save
+    this.directoryWatchers = new Map();
+    this.timer = null;
+    this.building = false;
+    this.rebuildQueued = false;
+  }
+
+  /**
+   * Start watching the repository until the process is stopped
+   */
+  start() {
+    console.log(`👀 Watching ${this.rootDir} for widget and room changes (Ctrl+C to stop)`);
+
+    try {
+      fs.watch(this.rootDir, { recursive: true }, (eventType, fileName) => {
+        if (fileName) this.handleChange(fileName.toString());
+      });
+    } catch (error) {
+      // Recursive watching is not available on every platform/Node version: watch each directory instead
+      this.watchDirectories();
+    }
+  }
+
+  /**
+   * Watch every directory individually, adding and removing watchers as directories come and go
+   */
+  watchDirectories() {
+    const directories = new Set();
+    const collect = (dir) => {
+      directories.add(dir);
+      for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        if (entry.isDirectory() && !entry.name.startsWith('.') && entry.name !== 'node_modules') {
+          collect(path.join(dir, entry.name));
+        }
+      }
+    };
+    collect(this.rootDir);
+
+    for (const [dir, watcher] of this.directoryWatchers) {
+      if (!directories.has(dir)) {
+        watcher.close();
+        this.directoryWatchers.delete(dir);
+      }
+    }
+
+    for (const dir of directories) {
+      if (!this.directoryWatchers.has(dir)) {
+        const watcher = fs.watch(dir, (eventType, fileName) => {
+          if (fileName) this.handleChange(path.relative(this.rootDir, path.join(dir, fileName.toString())));
+        });
+        this.directoryWatchers.set(dir, watcher);
+      }
+    }
+  }
+
+  /**
+   * Map a changed path (relative to the root) to the widget and room it affects
+   */
+  handleChange(relativePath) {
+    const parts = relativePath.split(path.sep);
+    if (parts.some(part => part.startsWith('.') || part === 'node_modules')) return;
+
+    const fileName = parts[parts.length - 1];
+    if (generatedFileNames.has(fileName)) return;
+
+    const widgetIndex = parts.findIndex(part => part.startsWith('widget-'));
+    if (widgetIndex !== -1) {
+      const widgetDir = path.join(this.rootDir, ...parts.slice(0, widgetIndex + 1));
+      this.pendingWidgets.add(widgetDir);
+      this.pendingRooms.add(getRoomDirectory(path.dirname(widgetDir)));
+    } else if (roomFilePattern.test(fileName)) {
+      this.pendingRooms.add(getRoomDirectory(path.join(this.rootDir, ...parts.slice(0, -1))));
+    } else if (fileName === 'canvas-link-info.json') {
+      // Canvas-links are shapes of the parent room, not of the room holding the info file
+      this.pendingRooms.add(path.join(this.rootDir, ...parts.slice(0, -2)));
+    } else {
+      // Per-directory watchers still need to pick up directories that were added or removed
+      if (this.directoryWatchers.size > 0) this.schedule();
+      return;
+    }
+
+    if (!this.changedPaths.has(relativePath)) {
+      this.changedPaths.add(relativePath);
+      console.log(`  ✏️  ${relativePath}`);
+    }
+    this.schedule();
+  }
+
+  schedule() {
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.rebuild(), this.debounceMs);
+  }
+
+  /**
+   * Recompile the pending widgets, then regenerate the pending rooms
+   */
+  async rebuild() {
+    if (this.building) {
+      this.rebuildQueued = true;
+      return;
+    }
+
+    this.building = true;
+    const widgetDirs = Array.from(this.pendingWidgets);
+    const roomDirs = Array.from(this.pendingRooms);
+    this.pendingWidgets.clear();
+    this.pendingRooms.clear();
+    this.changedPaths.clear();
+
+    const startedAt = Date.now();
+
+    try {
+      if (this.directoryWatchers.size > 0) {
+        this.watchDirectories();
+      }
+
+      if (widgetDirs.length > 0 || roomDirs.length > 0) {
+        console.log(`\n🔄 Rebuilding ${widgetDirs.length} widgets and ${roomDirs.length} rooms...`);
+      }
+
+      // compile.js keys its cache by the widget path relative to the working directory
+      const widgets = widgetDirs
+        .filter(widgetDir => fs.existsSync(widgetDir))
+        .map(widgetDir => ({ name: path.basename(widgetDir), path: path.relative(process.cwd(), widgetDir) }));
+
+      if (widgets.length > 0) {
+        const result = compileWidgets(widgets, this.options);
+        const problems = [...result.problems];
+        if (this.options.typecheck) {
+          problems.push(...typeCheckTemplates(result.typeScriptTemplates));
+        }
+        if (problems.length > 0) {
+          printProblems(problems);
+        }
+      }
+
+      for (const roomDir of roomDirs) {
+        if (fs.existsSync(path.join(roomDir, 'canvas-metadata.json'))) {
+          await this.generator.generateRoomCanvasState(roomDir);
+        }
+      }
+
+      if (widgetDirs.length > 0 || roomDirs.length > 0) {
+        console.log(`✅ Rebuilt in ${Date.now() - startedAt}ms - watching for changes`);
+      }
+    } catch (error) {
+      console.error('❌ Rebuild failed:', error);
+    } finally {
+      this.building = false;
+      if (this.rebuildQueued) {
+        this.rebuildQueued = false;
+        this.schedule();
+      }
+    }
+  }
+}
+
+module.exports = CanvasWatcher;
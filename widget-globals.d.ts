@@ -0,0 +1,29 @@
+/**
+ * Ambient declarations for the globals available to compiled Miyagi widgets.
+ * Used by `compile.js --typecheck` when type-checking template.tsx widgets.
+ */
+
+type MiyagiStorageSetter<T> = (value: T | ((previous: T) => T)) => void;
+
+// Injected by MiyagiStorageService: per-widget storage (storage.json)
+declare function useStorage<T>(key: string, defaultValue: T): [T, MiyagiStorageSetter<T>];
+
+// Injected by MiyagiStorageService: per-room storage shared by all widgets (global-storage.json)
+declare function useGlobalStorage<T>(key: string, defaultValue: T): [T, MiyagiStorageSetter<T>];
+
+// React hooks destructured into scope by the compiled HTML wrapper
+declare const useState: typeof import('react').useState;
+declare const useEffect: typeof import('react').useEffect;
+declare const useRef: typeof import('react').useRef;
+declare const useMemo: typeof import('react').useMemo;
+declare const useCallback: typeof import('react').useCallback;
+declare const useContext: typeof import('react').useContext;
+declare const useReducer: typeof import('react').useReducer;
+declare const useLayoutEffect: typeof import('react').useLayoutEffect;
+declare const useImperativeHandle: typeof import('react').useImperativeHandle;
+declare const useDebugValue: typeof import('react').useDebugValue;
+declare const useDeferredValue: typeof import('react').useDeferredValue;
+declare const useId: typeof import('react').useId;
+declare const useInsertionEffect: typeof import('react').useInsertionEffect;
+declare const useSyncExternalStore: typeof import('react').useSyncExternalStore;
+declare const useTransition: typeof import('react').useTransition;